@@ -25,4 +25,43 @@ exports = module.exports = OmniCrudder;
  * Utility to convert MongoDB filter syntax to SQL WHERE clause
  * @type {Object}
  */
-module.exports.convertMongoFilterToSQL = require('./utils/mongoToSQL.utils').convertMongoFilterToSQL;
\ No newline at end of file
+module.exports.convertMongoFilterToSQL = require('./utils/mongoToSQL.utils').convertMongoFilterToSQL;
+/**
+ * Utility to build a paginated SELECT, and its COUNT(*) queries, from MongoDB query syntax
+ * @type {Function}
+ */
+module.exports.buildSelectSQL = require('./utils/mongoToSQL.utils').buildSelectSQL;
+/**
+ * Create an Express Router exposing the crudder operations as REST routes
+ * @type {Function}
+ */
+module.exports.createRouter = require('./lib/express.router');
+
+/**
+ * Transport agnostic services behind the crudders
+ * @type {Function}
+ */
+module.exports.MongooseService = require('./lib/mongoose.service');
+module.exports.SequelizeService = require('./lib/sequelize.service');
+
+/**
+ * Stores of Idempotency-Key results, for the idempotencyStore option
+ * @type {Function}
+ */
+module.exports.MemoryIdempotencyStore = require('./utils/idempotency.utils').MemoryIdempotencyStore;
+module.exports.MongooseIdempotencyStore = require('./utils/idempotency.utils').MongooseIdempotencyStore;
+module.exports.SequelizeIdempotencyStore = require('./utils/idempotency.utils').SequelizeIdempotencyStore;
+
+/**
+ * Typed errors thrown by the services
+ * @type {Object}
+ */
+module.exports.errors = require('./utils/error.utils');
+
+/**
+ * Fastify plugin and Koa router/middleware driving the crudders
+ * @type {Function}
+ */
+module.exports.fastifyPlugin = require('./lib/fastify.plugin');
+module.exports.createKoaRouter = require('./lib/koa.router').createKoaRouter;
+module.exports.koaMiddleware = require('./lib/koa.router').koaMiddleware;
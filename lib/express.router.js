@@ -0,0 +1,34 @@
+'use strict';
+
+const { resolveRoutes } = require('../utils/route.utils');
+const { PATCH_CONTENT_TYPE } = require('../utils/patch.utils');
+
+/**
+ * Create an Express Router exposing the crudder operations as REST routes
+ * @param {Object} crudder - A MongooseCrudder or SequelizeCrudder instance
+ * @param {Object} options - Router options
+ * @param {Array<string>} [options.disable] - Operations that should not be mounted
+ * @param {Object} [options.middleware] - Middleware per operation, `*` applies to every route
+ * @param {boolean} [options.bodyParser=true] - Parse JSON and JSON Patch request bodies
+ * @returns {Object} Express Router
+ */
+function createRouter(crudder, options) {
+    let express;
+    try {
+        express = require('express');
+    } catch (err) {
+        throw new Error('Express is required to create a router. Please install express.');
+    }
+    options = options || {};
+
+    const router = express.Router();
+    if (options.bodyParser !== false) {
+        router.use(express.json({ type: ['application/json', PATCH_CONTENT_TYPE] }));
+    }
+    resolveRoutes(options).forEach(route => {
+        router[route.method](route.path, ...route.middleware, (req, res) => crudder[route.operation](req, res));
+    });
+    return router;
+}
+
+module.exports = createRouter;
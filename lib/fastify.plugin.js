@@ -0,0 +1,50 @@
+'use strict';
+
+const { resolveRoutes } = require('../utils/route.utils');
+const { PATCH_CONTENT_TYPE } = require('../utils/patch.utils');
+const { STREAM_CONTENT_TYPES } = require('../utils/import.utils');
+
+/**
+ * Fastify plugin exposing the crudder operations as REST routes.
+ * Register it with a prefix, e.g. `fastify.register(fastifyPlugin, { prefix: '/users', crudder })`.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Plugin options
+ * @param {Object} options.crudder - A MongooseCrudder or SequelizeCrudder instance
+ * @param {Array<string>} [options.disable] - Operations that should not be mounted
+ * @param {Object} [options.middleware] - preHandler hooks per operation, `*` applies to every route
+ */
+async function fastifyPlugin(fastify, options) {
+    const crudder = options.crudder;
+    if (!crudder) {
+        throw new Error('The crudder option is required for the Fastify plugin');
+    }
+    if (!fastify.hasContentTypeParser(PATCH_CONTENT_TYPE)) {
+        // JSON Patch bodies are left as strings and parsed by the update operations
+        fastify.addContentTypeParser(PATCH_CONTENT_TYPE, { parseAs: 'string' }, (request, body, done) => done(null, body));
+    }
+    // CSV and NDJSON uploads reach the import operation as the raw request stream
+    STREAM_CONTENT_TYPES.filter(type => !fastify.hasContentTypeParser(type)).forEach(type => {
+        fastify.addContentTypeParser(type, (request, payload, done) => done(null, payload));
+    });
+    resolveRoutes(options).forEach(route => {
+        fastify.route({
+            method: route.method.toUpperCase(),
+            url: route.path,
+            preHandler: route.middleware,
+            handler: async (request, reply) => {
+                const result = await crudder.execute(route.operation, {
+                    query: request.query || {},
+                    params: request.params || {},
+                    body: request.body,
+                    headers: request.headers,
+                    // The problem+json instance of error results
+                    url: request.url
+                });
+                reply.code(result.status).headers(result.headers);
+                return reply.send(result.body);
+            }
+        });
+    });
+}
+
+module.exports = fastifyPlugin;
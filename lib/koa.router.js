@@ -0,0 +1,58 @@
+'use strict';
+
+const { resolveRoutes } = require('../utils/route.utils');
+
+/**
+ * Create a Koa middleware running a single crudder operation.
+ * Expects `ctx.params` from a router and `ctx.request.body` from a body parser.
+ * @param {Object} crudder - A MongooseCrudder or SequelizeCrudder instance
+ * @param {string} operation - Name of the crudder operation
+ * @returns {Function} Koa middleware
+ */
+function koaMiddleware(crudder, operation) {
+    return async function (ctx) {
+        const result = await crudder.execute(operation, {
+            query: ctx.query || {},
+            params: ctx.params || {},
+            body: ctx.request.body,
+            headers: ctx.headers,
+            // The problem+json instance of error results
+            url: ctx.originalUrl,
+            // Unparsed uploads, e.g. CSV for the import operation
+            stream: ctx.req
+        });
+        ctx.set(result.headers);
+        ctx.body = result.body;
+        ctx.status = result.status;
+    };
+}
+
+/**
+ * Create a @koa/router Router exposing the crudder operations as REST routes
+ * @param {Object} crudder - A MongooseCrudder or SequelizeCrudder instance
+ * @param {Object} options - Router options
+ * @param {string} [options.prefix] - Path prefix for every route
+ * @param {Array<string>} [options.disable] - Operations that should not be mounted
+ * @param {Object} [options.middleware] - Middleware per operation, `*` applies to every route
+ * @returns {Object} Koa Router
+ */
+function createKoaRouter(crudder, options) {
+    let Router;
+    try {
+        Router = require('@koa/router');
+    } catch (err) {
+        throw new Error('@koa/router is required to create a Koa router. Please install @koa/router.');
+    }
+    options = options || {};
+
+    const router = new Router({ prefix: options.prefix });
+    resolveRoutes(options).forEach(route => {
+        router[route.method](route.path, ...route.middleware, koaMiddleware(crudder, route.operation));
+    });
+    return router;
+}
+
+module.exports = {
+    koaMiddleware: koaMiddleware,
+    createKoaRouter: createKoaRouter
+};
@@ -1,8 +1,9 @@
 'use strict';
 
-const _ = require('lodash');
 const { parseParams } = require('../utils/param.utils');
-const { parseMongoFilter } = require('../utils/filter.utils');
+const { createErrorResult, createContext, sendResult } = require('../utils/response.utils');
+const MongooseService = require('./mongoose.service');
+const createRouter = require('./express.router');
 
 /**
  * Mongoose Database Adapter
@@ -32,6 +33,11 @@ function MongooseCrudder(model, options) {
     if (!this.model) {
         throw new Error('Mongoose model is required for MongoDB adapter');
     }
+    /**
+     * Transport agnostic operations, usable without an Express request
+     * @type {MongooseService}
+     */
+    this.service = new MongooseService(this.model, this.options);
 }
 
 MongooseCrudder.prototype._logError = function (req, err, message = null) {
@@ -40,379 +46,108 @@ MongooseCrudder.prototype._logError = function (req, err, message = null) {
     }
 };
 
-MongooseCrudder.prototype._customizer = function (objValue, srcValue) {
-    if (_.isArray(objValue)) {
-        return srcValue;
-    }
-};
-
-MongooseCrudder.prototype.count = async function (req, res) {
+/**
+ * Run a service operation for a request exposing query, params, body, headers and url.
+ * Failures are logged and turned into an `application/problem+json` result, so this never rejects.
+ * @param {string} operation - Name of the service operation
+ * @param {Object} req - The request object
+ * @returns {Promise<Object>} The result as { status, body, headers }
+ */
+MongooseCrudder.prototype.execute = async function (operation, req) {
     try {
         let params = parseParams(req);
-        let filter = parseMongoFilter.FilterParse(params.filter);
-        let count = await this.model.countDocuments(filter);
-        res.status(200).json(count);
+        return await this.service[operation](params, createContext(req));
     } catch (err) {
         this._logError(req, err);
-        res.status(500).json({ message: err.message });
+        return createErrorResult(err, this.options, req.originalUrl || req.url);
     }
 };
 
-MongooseCrudder.prototype.find = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let filter = parseMongoFilter.FilterParse(params.filter);
-        let query = this.model.find(filter);
+/**
+ * Run a service operation for an Express style request and write the result
+ * @param {string} operation - Name of the service operation
+ * @param {Object} req - The request object
+ * @param {Object} res - The response object
+ */
+MongooseCrudder.prototype._handle = async function (operation, req, res) {
+    sendResult(res, await this.execute(operation, req), (err) => this._logError(req, err));
+};
 
-        if (params.lean) {
-            query.lean();
-        }
+MongooseCrudder.prototype.count = function (req, res) {
+    return this._handle('count', req, res);
+};
 
-        if (params.select && params.select.length > 0) {
-            query.select(params.select.join(' '));
-        }
+MongooseCrudder.prototype.find = function (req, res) {
+    return this._handle('find', req, res);
+};
 
-        if (params.search) {
-            filter['$text'] = { '$search': params.search };
-        }
+MongooseCrudder.prototype.export = function (req, res) {
+    return this._handle('export', req, res);
+};
 
-        if (params.sort) {
-            query.sort(params.sort);
-        }
+MongooseCrudder.prototype.findById = function (req, res) {
+    return this._handle('findById', req, res);
+};
 
-        // Apply limit: use params.limit if provided, otherwise use defaultLimit from options, or no limit
-        let limit = params.limit;
-        if (limit === undefined || limit === null) {
-            limit = this.options.defaultLimit || -1;
-        }
+MongooseCrudder.prototype.create = function (req, res) {
+    return this._handle('create', req, res);
+};
 
-        if (limit !== -1) {
-            query.skip(params.skip || 0).limit(limit);
-        }
-        let docs = await query.exec();
-        if (!params.metadata) {
-            res.status(200).json(docs);
-            return;
-        }
-        const totalCount = await this.model.countDocuments({});
-        const matched = await this.model.countDocuments(filter);
-        res.status(200).json({
-            _metadata: {
-                page: Math.floor(params.skip / params.limit) + 1,
-                count: params.limit,
-                matched: matched,
-                totalCount: totalCount
-            },
-            data: docs
-        });
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.import = function (req, res) {
+    return this._handle('import', req, res);
 };
 
-MongooseCrudder.prototype.findById = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let filter = {
-            [this.options.idField]: params.id
-        };
-        let query = this.model.findOne(filter);
-        if (params.select && params.select.length > 0) {
-            query.select(params.select.join(' '));
-        }
-        let doc = await query.exec();
-        if (!doc) {
-            res.status(404).json({ message: 'Document not found' });
-            return;
-        }
-        res.status(200).json(doc);
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.updateById = function (req, res) {
+    return this._handle('updateById', req, res);
 };
 
+MongooseCrudder.prototype.replaceById = function (req, res) {
+    return this._handle('replaceById', req, res);
+};
 
-MongooseCrudder.prototype.create = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let data = params.data;
-        let upsert = params.upsert;
-        let documents = Array.isArray(data) ? data : [data];
-        let results = [];
-        await documents.reduce(async (prev, curr) => {
-            await prev;
-            let result, doc;
-            if (upsert && curr[this.options.idField]) {
-                doc = await this.model.findOne({ [this.options.idField]: curr[this.options.idField] });
-                if (doc) {
-                    _.mergeWith(doc, curr, this._customizer);
-                }
-            }
-            if (!doc) {
-                doc = new this.model(curr);
-            }
-            try {
-                doc._req = req;
-                result = await doc.save();
-                results.push({ status: 200, data: result });
-                return;
-            } catch (err) {
-                results.push({ status: 400, error: err });
-            }
-            return Promise.resolve();
-        }, Promise.resolve(null));
-        let errorCount = results.filter(result => result.status !== 200).length;
-        let successCount = results.filter(result => result.status === 200).length;
-        let successData = results.filter(result => result.status === 200).map(result => result.data);
-        let errorData = results.filter(result => result.status !== 200).map(result => result.error);
-        if (errorCount === successCount) {
-            res.status(400).json(Array.isArray(data) ? errorData : errorData[0]);
-        } else if (errorCount > 0 && errorCount !== successCount) {
-            res.status(207).json(Array.isArray(data) ? successData : successData[0]);
-        } else {
-            res.status(200).json(Array.isArray(data) ? successData : successData[0]);
-        }
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.updateByFilter = function (req, res) {
+    return this._handle('updateByFilter', req, res);
 };
 
-MongooseCrudder.prototype.updateById = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let id = params.id;
-        let data = params.data;
-        let upsert = params.upsert;
-        let filter = {
-            [this.options.idField]: id
-        };
-        let document = await this.model.findOne(filter).exec();
-        if (!document && !upsert) {
-            res.status(404).json({ message: 'Document not found' });
-            return;
-        }
-        if (document) {
-            let oldLeanDocument = document.toObject();
-            let updatedLeanDocument = _.mergeWith(oldLeanDocument, data, this._customizer);
-            if (_.isEqual(oldLeanDocument, updatedLeanDocument)) {
-                return document;
-            }
-            let updatedDocument = _.mergeWith(document, data, this._customizer);
-            updatedDocument._req = req;
-            updatedDocument._oldDoc = oldLeanDocument;
-            await updatedDocument.save();
-            res.status(200).json(updatedDocument);
-        } else {
-            let newDocument = new this.model(data);
-            newDocument._req = req;
-            await newDocument.save();
-            res.status(200).json(newDocument);
-        }
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.deleteById = function (req, res) {
+    return this._handle('deleteById', req, res);
 };
 
-MongooseCrudder.prototype.updateByFilter = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let filter = parseMongoFilter.FilterParse(params.filter);
-        let data = params.data;
-        let upsert = params.upsert;
-        let documents = await this.model.find(filter).exec();
-        const results = [];
-        await documents.reduce(async (prev, curr) => {
-            await prev;
-            if (curr) {
-                let oldLeanDocument = curr.toObject();
-                let updatedLeanDocument = _.mergeWith(oldLeanDocument, data, this._customizer);
-                if (_.isEqual(oldLeanDocument, updatedLeanDocument)) {
-                    results.push({ status: 200, data: curr });
-                    return;
-                }
-                let updatedDocument = _.mergeWith(curr, data, this._customizer);
-                updatedDocument._req = req;
-                updatedDocument._oldDoc = oldLeanDocument;
-                await updatedDocument.save();
-                results.push({ status: 200, data: updatedDocument });
-            } else if (upsert) {
-                let newDocument = new this.model(data);
-                newDocument._req = req;
-                await newDocument.save();
-                results.push({ status: 200, data: newDocument });
-            }
-        }, Promise.resolve(null));
-        let errorCount = results.filter(result => result.status !== 200).length;
-        let successCount = results.filter(result => result.status === 200).length;
-        let successData = results.filter(result => result.status === 200).map(result => result.data);
-        let errorData = results.filter(result => result.status !== 200).map(result => result.error);
-        if (errorCount === successCount) {
-            res.status(400).json(Array.isArray(data) ? errorData : errorData[0]);
-        } else if (errorCount > 0 && errorCount !== successCount) {
-            res.status(207).json(Array.isArray(data) ? successData : successData[0]);
-        } else {
-            res.status(200).json(Array.isArray(data) ? successData : successData[0]);
-        }
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.deleteByFilter = function (req, res) {
+    return this._handle('deleteByFilter', req, res);
 };
 
-MongooseCrudder.prototype.deleteById = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let id = params.id;
-        let filter = {
-            [this.options.idField]: id
-        };
-        let document = await this.model.findOne(filter).exec();
-        if (!document) {
-            res.status(404).json({ message: 'Document not found' });
-            return;
-        }
-        document._req = req;
-        document._oldDoc = document.toObject();
-        if (this.options.permanentDelete) {
-            await document.deleteOne();
-        } else {
-            document.set(this.options.permanentDeleteField, true);
-            await document.save();
-        }
-        res.status(200).json({ message: 'Document deleted' });
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.restoreById = function (req, res) {
+    return this._handle('restoreById', req, res);
 };
 
-MongooseCrudder.prototype.deleteByFilter = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let filter = parseMongoFilter.FilterParse(params.filter);
-        let documents = await this.model.find(filter).exec();
-        await documents.reduce(async (prev, curr) => {
-            await prev;
-            curr._req = req;
-            curr._oldDoc = curr.toObject();
-            if (this.options.permanentDelete) {
-                await curr.deleteOne();
-            } else {
-                curr.set(this.options.permanentDeleteField, true);
-                await curr.save();
-            }
-            return Promise.resolve();
-        }, Promise.resolve(null));
-        res.status(200).json({ message: 'Documents deleted', count: documents.length });
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.restoreByFilter = function (req, res) {
+    return this._handle('restoreByFilter', req, res);
 };
 
+MongooseCrudder.prototype.purge = function (req, res) {
+    return this._handle('purge', req, res);
+};
 
-MongooseCrudder.prototype.bulkShowByIds = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let ids = params.ids;
-        let select = params.select;
-        let sort = params.sort;
-        let filter = {
-            [this.options.idField]: { '$in': ids }
-        };
-        let query = this.model.find(filter);
-        if (select && select.length > 0) {
-            query = query.select(select.join(' '));
-        }
-        if (sort) {
-            query = query.sort(sort);
-        }
-        const docs = await query.exec();
-        res.status(200).json(docs);
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.bulkShowByIds = function (req, res) {
+    return this._handle('bulkShowByIds', req, res);
 };
 
-MongooseCrudder.prototype.bulkUpdateByIds = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let ids = params.ids;
-        let filter = {
-            [this.options.idField]: { '$in': ids }
-        };
-        let data = params.data;
-        let upsert = params.upsert;
-        let documents = await this.model.find(filter).exec();
-        const results = [];
-        await documents.reduce(async (prev, curr) => {
-            await prev;
-            if (curr) {
-                let oldLeanDocument = curr.toObject();
-                let updatedLeanDocument = _.mergeWith(oldLeanDocument, data, this._customizer);
-                if (_.isEqual(oldLeanDocument, updatedLeanDocument)) {
-                    results.push({ status: 200, data: curr });
-                    return;
-                }
-                let updatedDocument = _.mergeWith(curr, data, this._customizer);
-                updatedDocument._req = req;
-                updatedDocument._oldDoc = oldLeanDocument;
-                await updatedDocument.save();
-                results.push({ status: 200, data: updatedDocument });
-            } else if (upsert) {
-                let newDocument = new this.model(data);
-                newDocument._req = req;
-                await newDocument.save();
-                results.push({ status: 200, data: newDocument });
-            }
-        }, Promise.resolve(null));
-        let errorCount = results.filter(result => result.status !== 200).length;
-        let successCount = results.filter(result => result.status === 200).length;
-        let successData = results.filter(result => result.status === 200).map(result => result.data);
-        let errorData = results.filter(result => result.status !== 200).map(result => result.error);
-        if (errorCount === successCount) {
-            res.status(400).json(Array.isArray(data) ? errorData : errorData[0]);
-        } else if (errorCount > 0 && errorCount !== successCount) {
-            res.status(207).json(Array.isArray(data) ? successData : successData[0]);
-        } else {
-            res.status(200).json(Array.isArray(data) ? successData : successData[0]);
-        }
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.bulkUpdateByIds = function (req, res) {
+    return this._handle('bulkUpdateByIds', req, res);
 };
 
-MongooseCrudder.prototype.bulkDeleteByIds = async function (req, res) {
-    try {
-        let params = parseParams(req);
-        let ids = params.ids;
-        let filter = {
-            [this.options.idField]: { '$in': ids }
-        };
-        let documents = await this.model.find(filter).exec();
-        await documents.reduce(async (prev, curr) => {
-            await prev;
-            curr._req = req;
-            curr._oldDoc = curr.toObject();
-            if (this.options.permanentDelete) {
-                await curr.deleteOne();
-            } else {
-                curr.set(this.options.permanentDeleteField, true);
-                await curr.save();
-            }
-            return Promise.resolve();
-        }, Promise.resolve(null));
-        res.status(200).json({ message: 'Documents deleted', count: documents.length });
-    } catch (err) {
-        this._logError(req, err);
-        res.status(500).json({ message: err.message });
-    }
+MongooseCrudder.prototype.bulkDeleteByIds = function (req, res) {
+    return this._handle('bulkDeleteByIds', req, res);
+};
+
+/**
+ * Create an Express Router with the CRUD operations mounted as REST routes
+ * @param {Object} options - Router options, see createRouter
+ * @returns {Object} Express Router
+ */
+MongooseCrudder.prototype.router = function (options) {
+    return createRouter(this, options);
 };
 
 module.exports = MongooseCrudder;
@@ -0,0 +1,1038 @@
+'use strict';
+
+const _ = require('lodash');
+const { parseMongoFilter } = require('../utils/filter.utils');
+const { BadRequestError, NotFoundError, PreconditionFailedError, UnprocessableEntityError, serializeError, classifyError } = require('../utils/error.utils');
+const { createResult, createBulkResult, createRollbackResult } = require('../utils/response.utils');
+const { createCursorPage, createKeysetFilter, createCursorBody } = require('../utils/cursor.utils');
+const { resolveFormat, createExportStream } = require('../utils/export.utils');
+const { resolveImportFormat, resolveImportSource, readImportRows, inBatches, createImportResult } = require('../utils/import.utils');
+const { isOperatorUpdate } = require('../utils/update.utils');
+const { readUpdateBody, applyJsonPatch } = require('../utils/patch.utils');
+const { IDEMPOTENCY_HEADER, MongooseIdempotencyStore, runIdempotent } = require('../utils/idempotency.utils');
+const { createETag, hashETag, collectionETag, createCacheHeaders, isNotModified, isConditional, checkIfMatch, toPreconditionError } = require('../utils/etag.utils');
+
+/**
+ * Mongoose Service
+ * @classdesc Transport agnostic CRUD operations for MongoDB using Mongoose.
+ * Every operation takes the parsed params and a context ({ req, headers })
+ * and resolves to { status, body, headers } or throws a CrudderError.
+ * @constructor
+ * @param {Object} model - Mongoose model
+ * @param {Object} options - Options for the Mongoose adapter
+ */
+function MongooseService(model, options) {
+    this.model = model;
+    this.options = options;
+}
+
+MongooseService.prototype._customizer = function (objValue, srcValue) {
+    if (_.isArray(objValue)) {
+        return srcValue;
+    }
+};
+
+/**
+ * Scope a filter to the documents visible to a read: soft deleted documents are hidden
+ * unless params.includeDeleted is set, params.onlyDeleted selects them alone
+ */
+MongooseService.prototype._scope = function (filter, params) {
+    let field = this.options.permanentDeleteField;
+    let condition;
+    if (params.onlyDeleted) {
+        condition = { [field]: true };
+    } else if (params.includeDeleted) {
+        return filter;
+    } else {
+        condition = { [field]: { '$ne': true } };
+    }
+    filter = filter || {};
+    return Object.assign({}, filter, { '$and': (filter['$and'] || []).concat([condition]) });
+};
+
+/**
+ * Read a boolean switch such as `atomic` or `fast` from the params, falling back to the adapter option of the same name
+ */
+MongooseService.prototype._flag = function (params, name) {
+    return params[name] !== undefined ? !!params[name] : !!this.options[name];
+};
+
+/**
+ * Run a multi-document write, inside a session transaction when it is atomic.
+ * The work receives the session (undefined when not atomic) and returns its outcome;
+ * the transaction is aborted when the work throws or reports a failed item.
+ * Transactions need a replica set or a sharded cluster.
+ * 
+ * @param {boolean} atomic - Whether to use a transaction
+ * @param {Function} work - async (session) => results
+ * @returns {Promise<*>} The outcome of the work
+ */
+MongooseService.prototype._transaction = async function (atomic, work) {
+    if (!atomic) {
+        return work(undefined);
+    }
+    const session = await this.model.startSession();
+    try {
+        session.startTransaction();
+        const outcome = await work(session);
+        if (Array.isArray(outcome) && outcome.some(result => result.error)) {
+            await session.abortTransaction();
+        } else {
+            await session.commitTransaction();
+        }
+        return outcome;
+    } catch (err) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        throw err;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * The schema version key, incremented by Mongoose itself, or null when versioning is off
+ */
+MongooseService.prototype._versionKey = function () {
+    let versionKey = this.model.schema.options.versionKey;
+    return versionKey === false ? null : (versionKey || '__v');
+};
+
+/**
+ * The field ETags are derived from: the versionField option or the schema version key
+ */
+MongooseService.prototype._versionField = function () {
+    return this.options.versionField || this._versionKey();
+};
+
+/**
+ * The ETag of a document, or null when it has no version
+ */
+MongooseService.prototype._etag = function (document) {
+    let field = this._versionField();
+    return field && document ? createETag(document.get(field)) : null;
+};
+
+MongooseService.prototype._etagHeaders = function (document) {
+    let etag = this._etag(document);
+    return etag ? { ETag: etag } : {};
+};
+
+/**
+ * The field Last-Modified is read from: the lastModifiedField option, the schema's
+ * updatedAt timestamp or `_metadata.lastUpdated`
+ */
+MongooseService.prototype._lastModifiedField = function () {
+    if (this.options.lastModifiedField) {
+        return this.options.lastModifiedField;
+    }
+    let timestamps = this.model.schema.options.timestamps;
+    if (timestamps && timestamps.updatedAt !== false) {
+        return typeof timestamps.updatedAt === 'string' ? timestamps.updatedAt : 'updatedAt';
+    }
+    return this.model.schema.path('_metadata.lastUpdated') ? '_metadata.lastUpdated' : null;
+};
+
+/**
+ * ETag and Last-Modified of a document. Documents without a version get a weak ETag of their content.
+ */
+MongooseService.prototype._cacheHeaders = function (document) {
+    let field = this._lastModifiedField();
+    return createCacheHeaders(this._etag(document) || hashETag(document), field ? document.get(field) : null);
+};
+
+/**
+ * ETag and Last-Modified of the documents matching a filter, from their count and latest change,
+ * so an unchanged collection is answered without reading it. Empty without a last modified field,
+ * and for unconditional requests unless the collectionCacheHeaders option asks for them.
+ */
+MongooseService.prototype._collectionCacheHeaders = async function (filter, context) {
+    let field = this._lastModifiedField();
+    if (!field || !(this.options.collectionCacheHeaders || isConditional(context.headers))) {
+        return {};
+    }
+    let count = await this.model.countDocuments(filter);
+    let latest = count > 0 ? await this.model.findOne(filter).sort({ [field]: -1 }).select(field).lean() : null;
+    let value = latest ? _.get(latest, field) : null;
+    let lastModified = value ? new Date(value) : null;
+    return createCacheHeaders(collectionETag(count, lastModified), lastModified);
+};
+
+/**
+ * Check the If-Match header of a request against a loaded document (or null when it was not found)
+ *
+ * @returns {boolean} True when the request carried If-Match
+ * @throws {PreconditionFailedError} When the document is missing or at another version
+ */
+MongooseService.prototype._checkIfMatch = function (document, context) {
+    return checkIfMatch(context.headers, !!document, this._etag(document));
+};
+
+/**
+ * Move the version of a changed document forward before it is saved. For the version key
+ * Mongoose also adds the stored version to the save filter, so a concurrent change fails
+ * the save with a VersionError. Other version fields are added to the filter through $where.
+ */
+MongooseService.prototype._bumpVersion = function (document) {
+    let field = this._versionField();
+    if (!field) {
+        return;
+    }
+    if (field === this._versionKey()) {
+        document.increment();
+    } else {
+        document.$where = Object.assign({}, document.$where, { [field]: document.get(field) });
+        document.set(field, (Number(document.get(field)) || 0) + 1);
+    }
+};
+
+/**
+ * Save a changed document with its version moved forward. A save that matched nothing because
+ * the version field changed meanwhile fails with a VersionError, like one on the version key.
+ */
+MongooseService.prototype._save = async function (document, session) {
+    let field = this._versionField();
+    let version = field ? document.get(field) : undefined;
+    this._bumpVersion(document);
+    try {
+        return await document.save({ session: session });
+    } catch (err) {
+        if (err.name === 'DocumentNotFoundError' && field && field !== this._versionKey()) {
+            throw new this.model.base.Error.VersionError(document, version, document.modifiedPaths());
+        }
+        throw err;
+    }
+};
+
+/**
+ * Add an increment of the version field to an update sent to MongoDB
+ */
+MongooseService.prototype._incrementVersion = function (update) {
+    let field = this._versionField();
+    if (!field) {
+        return update;
+    }
+    return Object.assign({}, update, { $inc: Object.assign({ [field]: 1 }, update.$inc) });
+};
+
+/**
+ * The store of Idempotency-Key results: the idempotencyStore option, or the
+ * collection of MongooseIdempotencyStore, created on first use. Null when the option is false.
+ */
+MongooseService.prototype._idempotencyStore = function () {
+    if (this.options.idempotencyStore === false) {
+        return null;
+    }
+    if (!this.idempotencyStore) {
+        this.idempotencyStore = this.options.idempotencyStore || new MongooseIdempotencyStore(this.model);
+    }
+    return this.idempotencyStore;
+};
+
+/**
+ * Run a write at most once per Idempotency-Key header, replaying the stored result for retries
+ */
+MongooseService.prototype._idempotent = async function (operation, params, context, run) {
+    let key = context.headers ? context.headers[IDEMPOTENCY_HEADER] : undefined;
+    if (!key) {
+        return run();
+    }
+    return runIdempotent(this._idempotencyStore(), this.model.modelName, operation, params, context, run, this.options.idempotencyTTL);
+};
+
+MongooseService.prototype.count = async function (params, context) {
+    let filter = this._scope(parseMongoFilter.FilterParse(params.filter), params);
+    let count = await this.model.countDocuments(filter);
+    return createResult(200, count);
+};
+
+MongooseService.prototype.find = async function (params, context) {
+    if (params.cursor !== undefined && params.cursor !== null) {
+        return this._findByCursor(params, context);
+    }
+    let filter = parseMongoFilter.FilterParse(params.filter || {});
+    if (params.search) {
+        filter['$text'] = { '$search': params.search };
+    }
+    filter = this._scope(filter, params);
+    let headers = await this._collectionCacheHeaders(params.metadata ? this._scope({}, params) : filter, context);
+    if (isNotModified(context.headers, headers)) {
+        return createResult(304, undefined, headers);
+    }
+    let query = this.model.find(filter);
+
+    if (params.lean) {
+        query.lean();
+    }
+
+    if (params.select && params.select.length > 0) {
+        query.select(params.select.join(' '));
+    }
+
+    if (params.sort) {
+        query.sort(params.sort);
+    }
+
+    // Apply limit: use params.limit if provided, otherwise use defaultLimit from options, or no limit
+    let limit = params.limit;
+    if (limit === undefined || limit === null) {
+        limit = this.options.defaultLimit || -1;
+    }
+
+    if (limit !== -1) {
+        query.skip(params.skip || 0).limit(limit);
+    }
+    let docs = await query.exec();
+    if (!params.metadata) {
+        return createResult(200, docs, headers);
+    }
+    const totalCount = await this.model.countDocuments(this._scope({}, params));
+    const matched = await this.model.countDocuments(filter);
+    return createResult(200, {
+        _metadata: {
+            page: Math.floor(params.skip / params.limit) + 1,
+            count: params.limit,
+            matched: matched,
+            totalCount: totalCount
+        },
+        data: docs
+    }, headers);
+};
+
+/**
+ * Keyset pagination: continue after the position encoded in params.cursor
+ */
+MongooseService.prototype._findByCursor = async function (params, context) {
+    let page = createCursorPage(params, this.options);
+    let filter = parseMongoFilter.FilterParse(params.filter || {});
+    if (params.search) {
+        filter['$text'] = { '$search': params.search };
+    }
+    filter = this._scope(filter, params);
+    let keyset = createKeysetFilter(page, { gt: '$gt', lt: '$lt', ne: '$ne', or: '$or' }, true);
+    let query = this.model.find(keyset ? { '$and': [filter, keyset] } : filter);
+
+    if (params.lean) {
+        query.lean();
+    }
+
+    if (params.select && params.select.length > 0) {
+        let select = params.select.slice();
+        // The sort fields are needed to build the next cursor
+        if (!select.some(field => field.charAt(0) === '-')) {
+            page.entries.forEach(([field]) => {
+                if (select.indexOf(field) === -1) {
+                    select.push(field);
+                }
+            });
+        }
+        query.select(select.join(' '));
+    }
+
+    query.sort(_.fromPairs(page.querySort)).limit(page.limit + 1);
+    let docs = await query.exec();
+    let body = createCursorBody(page, docs);
+    if (params.metadata) {
+        body._metadata = {
+            count: page.limit,
+            matched: await this.model.countDocuments(filter),
+            totalCount: await this.model.countDocuments(this._scope({}, params))
+        };
+    }
+    return createResult(200, body);
+};
+
+/**
+ * Stream the documents matching the filter as NDJSON or CSV through a Mongoose cursor
+ */
+MongooseService.prototype.export = async function (params, context) {
+    let format = resolveFormat(params, context.headers);
+    let filter = this._scope(parseMongoFilter.FilterParse(params.filter || {}), params);
+    let query = this.model.find(filter).lean();
+
+    if (params.select && params.select.length > 0) {
+        query.select(params.select.join(' '));
+    }
+
+    if (params.sort) {
+        query.sort(params.sort);
+    }
+
+    // Only an explicit limit applies, defaultLimit is meant for paged reads
+    if (params.skip) {
+        query.skip(params.skip);
+    }
+    if (params.limit > 0) {
+        query.limit(params.limit);
+    }
+
+    let { stream, headers } = createExportStream(query.cursor(), format, params.select);
+    return createResult(200, stream, headers);
+};
+
+MongooseService.prototype.findById = async function (params, context) {
+    let filter = this._scope({
+        [this.options.idField]: params.id
+    }, params);
+    let query = this.model.findOne(filter);
+    if (params.select && params.select.length > 0) {
+        query.select(params.select.join(' '));
+    }
+    let doc = await query.exec();
+    if (!doc) {
+        throw new NotFoundError();
+    }
+    let headers = this._cacheHeaders(doc);
+    if (isNotModified(context.headers, headers)) {
+        return createResult(304, undefined, headers);
+    }
+    return createResult(200, doc, headers);
+};
+
+MongooseService.prototype.create = function (params, context) {
+    return this._idempotent('create', params, context, () => this._create(params, context));
+};
+
+MongooseService.prototype._create = async function (params, context) {
+    let data = params.data;
+    let upsert = params.upsert;
+    let atomic = this._flag(params, 'atomic') && Array.isArray(data);
+    let bulk = this._flag(params, 'bulkInsert') && Array.isArray(data);
+    let documents = Array.isArray(data) ? data : [data];
+    let results = await this._transaction(atomic, async (session) => {
+        if (bulk) {
+            return this._createInBatches(documents, upsert, params.batchSize, session);
+        }
+        let results = [];
+        await documents.reduce(async (prev, curr, index) => {
+            await prev;
+            if (atomic && results.some(result => result.error)) {
+                return;
+            }
+            let id = curr ? curr[this.options.idField] : undefined;
+            try {
+                let doc;
+                if (upsert && id !== undefined) {
+                    doc = await this.model.findOne({ [this.options.idField]: id }).session(session || null);
+                    if (doc) {
+                        doc._oldDoc = doc.toObject();
+                        _.mergeWith(doc, curr, this._customizer);
+                    }
+                }
+                if (!doc) {
+                    doc = new this.model(curr);
+                }
+                doc._req = context.req;
+                let result = await doc.save({ session: session });
+                results.push({ index: index, id: result.get(this.options.idField), status: 200, data: result });
+            } catch (err) {
+                results.push({ index: index, id: id, status: classifyError(err, this.options.mapError).status, error: err });
+            }
+        }, Promise.resolve(null));
+        return results;
+    });
+    if (atomic && results.some(result => result.error)) {
+        return createRollbackResult(results, documents.length, this.options);
+    }
+    return createBulkResult(results, Array.isArray(data), this.options);
+};
+
+/**
+ * Create the documents with one bulkWrite per batch of batchSize documents.
+ * Inside a transaction the first failed batch ends the run.
+ */
+MongooseService.prototype._createInBatches = async function (documents, upsert, batchSize, session) {
+    let items = documents.map((data, index) => ({ index: index, data: data }));
+    return _.chunk(items, batchSize || this.options.batchSize || 500).reduce(async (prev, batch) => {
+        let results = await prev;
+        if (session && results.some(result => result.error)) {
+            return results;
+        }
+        return results.concat(await this._insertBatch(batch, upsert, session));
+    }, Promise.resolve([]));
+};
+
+/**
+ * Insert a batch with a single unordered bulkWrite: insertOne for new documents and,
+ * with upsert, updateOne upserts for documents carrying an id. The documents are
+ * validated one by one first and write errors are mapped back through their op index,
+ * so every failure keeps its input index.
+ * 
+ * @param {Array<Object>} batch - Items as { index, data }
+ * @param {boolean} upsert - Update existing documents
+ * @param {Object} [session] - Session of an atomic write; nothing is written once an item fails
+ * @returns {Promise<Array<Object>>} Outcomes as { index, id, status, data } or { index, id, status, error }
+ */
+MongooseService.prototype._insertBatch = async function (batch, upsert, session) {
+    const idField = this.options.idField;
+    const results = [];
+    const valid = [];
+    await batch.reduce(async (prev, item) => {
+        await prev;
+        let doc = new this.model(item.data);
+        try {
+            await doc.validate();
+            valid.push(Object.assign({ doc: doc }, item));
+        } catch (err) {
+            results.push({ index: item.index, id: item.data ? item.data[idField] : undefined, status: classifyError(err, this.options.mapError).status, error: err });
+        }
+    }, Promise.resolve(null));
+    if (valid.length === 0 || (session && results.length > 0)) {
+        return results;
+    }
+
+    const ops = valid.map(item => {
+        let id = item.data[idField];
+        if (upsert && id !== undefined) {
+            return { updateOne: { filter: { [idField]: id }, update: { '$set': _.omit(item.data, idField) }, upsert: true } };
+        }
+        return { insertOne: { document: item.doc.toObject() } };
+    });
+    let writeErrors = [];
+    try {
+        await this.model.bulkWrite(ops, { ordered: false, session: session });
+    } catch (err) {
+        if (!err.writeErrors) {
+            throw err;
+        }
+        writeErrors = [].concat(err.writeErrors);
+    }
+    const failed = new Map(writeErrors.map(writeError => [writeError.index, writeError]));
+
+    // Upserted documents are read back, inserted ones are the validated documents
+    const upsertedIds = valid.filter((item, i) => ops[i].updateOne && !failed.has(i)).map(item => item.data[idField]);
+    const upserted = upsertedIds.length > 0 ? await this.model.find({ [idField]: { '$in': upsertedIds } }).session(session || null).exec() : [];
+
+    valid.forEach((item, i) => {
+        let id = ops[i].updateOne ? item.data[idField] : item.doc.get(idField);
+        if (failed.has(i)) {
+            let writeError = failed.get(i);
+            let raw = writeError.err || writeError;
+            let err = Object.assign(new Error(raw.errmsg || writeError.errmsg), { name: 'MongoServerError', code: raw.code });
+            if (raw.keyValue) {
+                err.keyValue = raw.keyValue;
+            }
+            results.push({ index: item.index, id: item.data[idField], status: classifyError(err, this.options.mapError).status, error: err });
+        } else if (ops[i].updateOne) {
+            results.push({ index: item.index, id: id, status: 200, data: upserted.find(doc => String(doc.get(idField)) === String(id)) });
+        } else {
+            results.push({ index: item.index, id: id, status: 200, data: item.doc });
+        }
+    });
+    return _.sortBy(results, 'index');
+};
+
+/**
+ * Import the rows of a CSV, NDJSON or JSON upload in batches and report the outcome of every row
+ */
+MongooseService.prototype.import = async function (params, context) {
+    let format = resolveImportFormat(params, context.headers);
+    let rows = readImportRows(resolveImportSource(params, context), format, params.mapping);
+    let batchSize = params.batchSize || this.options.batchSize || 500;
+    let report = [];
+    for await (const batch of inBatches(rows, batchSize)) {
+        report = report.concat(await this._importBatch(batch, params.upsert, context, this._flag(params, 'bulkInsert')));
+    }
+    return createImportResult(report);
+};
+
+MongooseService.prototype._importBatch = async function (batch, upsert, context, bulk) {
+    if (bulk) {
+        return this._importBulk(batch, upsert);
+    }
+    return batch.reduce(async (prev, curr) => {
+        let report = await prev;
+        if (curr.error) {
+            report.push({ row: curr.row, status: 'failed', error: curr.error });
+            return report;
+        }
+        let id = curr.data[this.options.idField];
+        try {
+            let doc, status = 'created';
+            if (upsert && id !== undefined) {
+                doc = await this.model.findOne({ [this.options.idField]: id });
+                if (doc) {
+                    doc._oldDoc = doc.toObject();
+                    _.mergeWith(doc, curr.data, this._customizer);
+                    status = 'updated';
+                }
+            }
+            if (!doc) {
+                doc = new this.model(curr.data);
+            }
+            doc._req = context.req;
+            await doc.save();
+            report.push({ row: curr.row, status: status, id: doc.get(this.options.idField) });
+        } catch (err) {
+            report.push({ row: curr.row, status: 'failed', id: id, error: serializeError(err) });
+        }
+        return report;
+    }, Promise.resolve([]));
+};
+
+/**
+ * Import a batch with a single bulkWrite, see _insertBatch
+ */
+MongooseService.prototype._importBulk = async function (batch, upsert) {
+    const idField = this.options.idField;
+    const report = batch.filter(curr => curr.error).map(curr => ({ row: curr.row, status: 'failed', error: curr.error }));
+    const rows = batch.filter(curr => !curr.error);
+
+    // Rows that already exist are reported as updated
+    let existing = [];
+    const ids = upsert ? rows.map(curr => curr.data[idField]).filter(id => id !== undefined) : [];
+    if (ids.length > 0) {
+        const documents = await this.model.find({ [idField]: { '$in': ids } }).select(idField).lean().exec();
+        existing = documents.map(doc => String(_.get(doc, idField)));
+    }
+
+    const results = await this._insertBatch(rows.map(curr => ({ index: curr.row, data: curr.data })), upsert);
+    results.forEach(result => {
+        if (result.error) {
+            report.push({ row: result.index, status: 'failed', id: result.id, error: serializeError(result.error) });
+        } else {
+            report.push({ row: result.index, status: existing.indexOf(String(result.id)) > -1 ? 'updated' : 'created', id: result.id });
+        }
+    });
+    return _.sortBy(report, 'row');
+};
+
+MongooseService.prototype.updateById = async function (params, context) {
+    let id = params.id;
+    let data = readUpdateBody(params.data, context.headers);
+    let upsert = params.upsert;
+    if (!Array.isArray(data) && this._replaceMode(params)) {
+        return this.replaceById(params, context);
+    }
+    let filter = {
+        [this.options.idField]: id
+    };
+    let operators = isOperatorUpdate(data);
+    let document = await this.model.findOne(this._scope(filter, {})).exec();
+    let ifMatch = this._checkIfMatch(document, context);
+    if (!document && !upsert) {
+        throw new NotFoundError();
+    }
+    if (document) {
+        try {
+            document = await this._applyUpdate(document, data, context, undefined, ifMatch);
+        } catch (err) {
+            throw ifMatch ? toPreconditionError(err) : err;
+        }
+        return createResult(200, document, this._etagHeaders(document));
+    }
+    if (operators) {
+        let upserted = await this._upsertOperators(filter, data);
+        return createResult(200, upserted, this._etagHeaders(upserted));
+    }
+    let newDocument = new this.model(Array.isArray(data) ? applyJsonPatch({}, data) : data);
+    newDocument._req = context.req;
+    await newDocument.save();
+    return createResult(200, newDocument, this._etagHeaders(newDocument));
+};
+
+/**
+ * Replace a document by ID with the body. Fields missing from the body fall back to their
+ * schema default or are removed, protected fields (id, version key, timestamps, deleted flag) keep their stored value.
+ */
+MongooseService.prototype.replaceById = async function (params, context) {
+    let id = params.id;
+    let data = params.data;
+    if (!_.isPlainObject(data) || isOperatorUpdate(data)) {
+        throw new BadRequestError('A replacement must be a document without update operators');
+    }
+    let filter = {
+        [this.options.idField]: id
+    };
+    let replacement = _.omit(data, this._protectedFields());
+    let document = await this.model.findOne(this._scope(filter, {})).exec();
+    let ifMatch = this._checkIfMatch(document, context);
+    if (!document && !params.upsert) {
+        throw new NotFoundError();
+    }
+    if (!document) {
+        let newDocument = new this.model(Object.assign(replacement, filter));
+        newDocument._req = context.req;
+        await newDocument.save();
+        return createResult(200, newDocument, this._etagHeaders(newDocument));
+    }
+    let oldLeanDocument = document.toObject();
+    let protectedFields = this._protectedFields();
+    let defaults = new this.model().toObject();
+    Object.keys(oldLeanDocument).forEach(key => {
+        if (protectedFields.indexOf(key) === -1 && !Object.prototype.hasOwnProperty.call(replacement, key)) {
+            document.set(key, defaults[key]);
+        }
+    });
+    // Set field by field, so nested objects are overwritten instead of merged
+    Object.keys(replacement).forEach(key => document.set(key, replacement[key]));
+    if (!document.isModified()) {
+        return createResult(200, document, this._etagHeaders(document));
+    }
+    document._req = context.req;
+    document._oldDoc = oldLeanDocument;
+    try {
+        document = await this._save(document);
+    } catch (err) {
+        throw ifMatch ? toPreconditionError(err) : err;
+    }
+    return createResult(200, document, this._etagHeaders(document));
+};
+
+/**
+ * Top level fields a replacement cannot change
+ */
+MongooseService.prototype._protectedFields = function () {
+    let schemaOptions = this.model.schema.options || {};
+    let fields = [this.options.idField, '_id', this.options.permanentDeleteField.split('.')[0], this._versionKey(), this.options.versionField];
+    if (schemaOptions.timestamps) {
+        let timestamps = schemaOptions.timestamps === true ? {} : schemaOptions.timestamps;
+        fields.push(timestamps.createdAt || 'createdAt', timestamps.updatedAt || 'updatedAt');
+    }
+    return _.uniq(_.compact(fields));
+};
+
+/**
+ * Whether updateById replaces instead of merging, from the mode param or option
+ */
+MongooseService.prototype._replaceMode = function (params) {
+    let mode = params.mode || this.options.mode || 'merge';
+    if (mode !== 'merge' && mode !== 'replace') {
+        throw new BadRequestError(`Unsupported update mode: ${mode}`);
+    }
+    return mode === 'replace';
+};
+
+/**
+ * Merge the update into a loaded document and save it when something changed.
+ * Update operators are sent to MongoDB instead, so concurrent updates do not overwrite each other,
+ * and a JSON Patch (an array of operations) is applied by _applyPatch. After an If-Match check
+ * the operators only apply to the loaded version.
+ */
+MongooseService.prototype._applyUpdate = async function (document, data, context, session, ifMatch) {
+    if (Array.isArray(data)) {
+        return this._applyPatch(document, data, context, session);
+    }
+    if (isOperatorUpdate(data)) {
+        let filter = { [this.options.idField]: document.get(this.options.idField) };
+        let field = this._versionField();
+        if (ifMatch && field) {
+            filter[field] = document.get(field);
+        }
+        let updated = await this.model.findOneAndUpdate(filter, this._incrementVersion(data), { new: true, runValidators: true, session: session });
+        if (!updated) {
+            throw ifMatch ? new PreconditionFailedError('The document was changed since it was read') : new NotFoundError();
+        }
+        return updated;
+    }
+    let oldLeanDocument = document.toObject();
+    let updatedLeanDocument = _.mergeWith(_.cloneDeep(oldLeanDocument), data, this._customizer);
+    if (_.isEqual(oldLeanDocument, updatedLeanDocument)) {
+        return document;
+    }
+    _.mergeWith(document, data, this._customizer);
+    document._req = context.req;
+    document._oldDoc = oldLeanDocument;
+    return this._save(document, session);
+};
+
+/**
+ * Apply a JSON Patch to the JSON form of a loaded document and save the top level fields it changed
+ */
+MongooseService.prototype._applyPatch = async function (document, patch, context, session) {
+    let oldLeanDocument = document.toObject();
+    let current = JSON.parse(JSON.stringify(oldLeanDocument));
+    let patched = applyJsonPatch(current, patch);
+    if (!_.isEqual(current[this.options.idField], patched[this.options.idField])) {
+        throw new UnprocessableEntityError(`A JSON Patch cannot change "${this.options.idField}"`);
+    }
+    _.union(Object.keys(current), Object.keys(patched)).forEach(key => {
+        if (!_.isEqual(current[key], patched[key])) {
+            document.set(key, patched[key]);
+        }
+    });
+    if (!document.isModified()) {
+        return document;
+    }
+    document._req = context.req;
+    document._oldDoc = oldLeanDocument;
+    return this._save(document, session);
+};
+
+/**
+ * Upsert with update operators: MongoDB builds the new document from the equality fields of the filter and the operators
+ */
+MongooseService.prototype._upsertOperators = function (filter, data, session) {
+    return this.model.findOneAndUpdate(filter, data, { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, session: session });
+};
+
+MongooseService.prototype.updateByFilter = async function (params, context) {
+    if (Array.isArray(params.data)) {
+        throw new BadRequestError('A JSON Patch can only update documents by id');
+    }
+    let filter = this._scope(parseMongoFilter.FilterParse(params.filter), {});
+    if (this._flag(params, 'fast')) {
+        return this._updateMany(filter || {}, params);
+    }
+    let data = params.data;
+    let upsert = params.upsert;
+    let operators = isOperatorUpdate(data);
+    let atomic = this._flag(params, 'atomic');
+    let total = 0;
+    const results = await this._transaction(atomic, async (session) => {
+        let documents = await this.model.find(filter).session(session || null).exec();
+        const results = [];
+        total = documents.length;
+        await documents.reduce(async (prev, curr, index) => {
+            await prev;
+            if (atomic && results.some(result => result.error)) {
+                return;
+            }
+            let id = curr.get(this.options.idField);
+            try {
+                results.push({ index: index, id: id, status: 200, data: await this._applyUpdate(curr, data, context, session) });
+            } catch (err) {
+                results.push({ index: index, id: id, status: classifyError(err, this.options.mapError).status, error: err });
+            }
+        }, Promise.resolve(null));
+        // Handle upsert if no documents found
+        if (documents.length === 0 && upsert) {
+            try {
+                let newDocument;
+                if (operators) {
+                    newDocument = await this._upsertOperators(filter || {}, data, session);
+                } else {
+                    newDocument = new this.model(data);
+                    newDocument._req = context.req;
+                    await newDocument.save({ session: session });
+                }
+                results.push({ index: 0, id: newDocument.get(this.options.idField), status: 200, data: newDocument });
+            } catch (err) {
+                results.push({ index: 0, status: classifyError(err, this.options.mapError).status, error: err });
+            }
+        }
+        return results;
+    });
+    if (atomic && results.some(result => result.error)) {
+        return createRollbackResult(results, total, this.options);
+    }
+    return createBulkResult(results, true);
+};
+
+/**
+ * Fast path of updateByFilter: a single updateMany, without loading the documents.
+ * Document middleware and the deep merge of nested objects are skipped.
+ */
+MongooseService.prototype._updateMany = async function (filter, params) {
+    // Rejects unknown or mixed operators, valid ones are passed through to MongoDB
+    isOperatorUpdate(params.data);
+    let result = await this.model.updateMany(filter, this._incrementVersion(params.data), { upsert: !!params.upsert, runValidators: true });
+    let body = {
+        message: 'Documents updated',
+        matched: result.matchedCount,
+        modified: result.modifiedCount
+    };
+    if (result.upsertedId) {
+        body.upserted = result.upsertedId;
+    }
+    return createResult(200, body);
+};
+
+/**
+ * Fast path of deleteByFilter: a single deleteMany, or an updateMany setting the deleted flag
+ */
+MongooseService.prototype._deleteMany = async function (filter) {
+    if (this.options.permanentDelete) {
+        let result = await this.model.deleteMany(filter);
+        return createResult(200, { message: 'Documents deleted', count: result.deletedCount, matched: result.deletedCount, modified: result.deletedCount });
+    }
+    let result = await this.model.updateMany(filter, { '$set': { [this.options.permanentDeleteField]: true } });
+    return createResult(200, { message: 'Documents deleted', count: result.matchedCount, matched: result.matchedCount, modified: result.modifiedCount });
+};
+
+/**
+ * Delete the given documents, permanently or by setting the deleted flag. With ifMatch the write
+ * is filtered on the loaded version, so a document changed since it was read is left untouched.
+ */
+MongooseService.prototype._delete = async function (documents, context, session, ifMatch) {
+    let field = ifMatch ? this._versionField() : null;
+    await documents.reduce(async (prev, curr) => {
+        await prev;
+        curr._req = context.req;
+        curr._oldDoc = curr.toObject();
+        if (this.options.permanentDelete) {
+            if (field) {
+                curr.$where = Object.assign({}, curr.$where, { [field]: curr.get(field) });
+            }
+            let result = await curr.deleteOne({ session: session });
+            if (field && result.deletedCount === 0) {
+                throw new PreconditionFailedError('The document was changed since it was read');
+            }
+        } else {
+            curr.set(this.options.permanentDeleteField, true);
+            await (field ? this._save(curr, session) : curr.save({ session: session }));
+        }
+        return Promise.resolve();
+    }, Promise.resolve(null));
+};
+
+MongooseService.prototype.deleteById = async function (params, context) {
+    let filter = this._scope({
+        [this.options.idField]: params.id
+    }, {});
+    let document = await this.model.findOne(filter).exec();
+    let ifMatch = this._checkIfMatch(document, context);
+    if (!document) {
+        throw new NotFoundError();
+    }
+    try {
+        await this._delete([document], context, undefined, ifMatch);
+    } catch (err) {
+        throw ifMatch ? toPreconditionError(err) : err;
+    }
+    return createResult(200, { message: 'Document deleted' });
+};
+
+MongooseService.prototype.deleteByFilter = async function (params, context) {
+    let filter = this._scope(parseMongoFilter.FilterParse(params.filter), {});
+    if (this._flag(params, 'fast')) {
+        return this._deleteMany(filter || {});
+    }
+    let count = await this._transaction(this._flag(params, 'atomic'), async (session) => {
+        let documents = await this.model.find(filter).session(session || null).exec();
+        await this._delete(documents, context, session);
+        return documents.length;
+    });
+    return createResult(200, { message: 'Documents deleted', count: count });
+};
+
+/**
+ * Clear the deleted flag of soft deleted documents
+ */
+MongooseService.prototype._restore = async function (documents, context) {
+    await documents.reduce(async (prev, curr) => {
+        await prev;
+        curr._req = context.req;
+        curr._oldDoc = curr.toObject();
+        curr.set(this.options.permanentDeleteField, false);
+        await curr.save();
+    }, Promise.resolve(null));
+};
+
+MongooseService.prototype.restoreById = async function (params, context) {
+    let filter = this._scope({
+        [this.options.idField]: params.id
+    }, { onlyDeleted: true });
+    let document = await this.model.findOne(filter).exec();
+    if (!document) {
+        throw new NotFoundError('Deleted document not found');
+    }
+    await this._restore([document], context);
+    return createResult(200, document);
+};
+
+MongooseService.prototype.restoreByFilter = async function (params, context) {
+    let filter = this._scope(parseMongoFilter.FilterParse(params.filter || {}), { onlyDeleted: true });
+    let documents = await this.model.find(filter).exec();
+    await this._restore(documents, context);
+    return createResult(200, { message: 'Documents restored', count: documents.length });
+};
+
+/**
+ * Permanently remove soft deleted documents, optionally narrowed by a filter
+ */
+MongooseService.prototype.purge = async function (params, context) {
+    let filter = this._scope(parseMongoFilter.FilterParse(params.filter || {}), { onlyDeleted: true });
+    let documents = await this.model.find(filter).exec();
+    await documents.reduce(async (prev, curr) => {
+        await prev;
+        curr._req = context.req;
+        curr._oldDoc = curr.toObject();
+        await curr.deleteOne();
+    }, Promise.resolve(null));
+    return createResult(200, { message: 'Documents purged', count: documents.length });
+};
+
+MongooseService.prototype.bulkShowByIds = async function (params, context) {
+    let ids = params.ids;
+    let select = params.select;
+    let sort = params.sort;
+    let filter = this._scope({
+        [this.options.idField]: { '$in': ids }
+    }, params);
+    let query = this.model.find(filter);
+    if (select && select.length > 0) {
+        query = query.select(select.join(' '));
+    }
+    if (sort) {
+        query = query.sort(sort);
+    }
+    const docs = await query.exec();
+    return createResult(200, docs);
+};
+
+MongooseService.prototype.bulkUpdateByIds = function (params, context) {
+    return this._idempotent('bulkUpdateByIds', params, context, () => this._bulkUpdateByIds(params, context));
+};
+
+MongooseService.prototype._bulkUpdateByIds = async function (params, context) {
+    let ids = params.ids;
+    let filter = this._scope({
+        [this.options.idField]: { '$in': ids }
+    }, {});
+    let data = readUpdateBody(params.data, context.headers);
+    let upsert = params.upsert;
+    let operators = isOperatorUpdate(data);
+    let atomic = this._flag(params, 'atomic');
+    const results = await this._transaction(atomic, async (session) => {
+        let documents = await this.model.find(filter).session(session || null).exec();
+        const results = [];
+        await ids.reduce(async (prev, id, index) => {
+            await prev;
+            if (atomic && results.some(result => result.error)) {
+                return;
+            }
+            let curr = documents.find(doc => String(doc.get(this.options.idField)) === String(id));
+            try {
+                if (curr) {
+                    results.push({ index: index, id: id, status: 200, data: await this._applyUpdate(curr, data, context, session) });
+                } else if (upsert && operators) {
+                    results.push({ index: index, id: id, status: 200, data: await this._upsertOperators({ [this.options.idField]: id }, data, session) });
+                } else if (upsert) {
+                    let newDocument = new this.model(Object.assign({}, Array.isArray(data) ? applyJsonPatch({}, data) : data, { [this.options.idField]: id }));
+                    newDocument._req = context.req;
+                    await newDocument.save({ session: session });
+                    results.push({ index: index, id: id, status: 200, data: newDocument });
+                } else {
+                    throw new NotFoundError();
+                }
+            } catch (err) {
+                results.push({ index: index, id: id, status: classifyError(err, this.options.mapError).status, error: err });
+            }
+        }, Promise.resolve(null));
+        return results;
+    });
+    if (atomic && results.some(result => result.error)) {
+        return createRollbackResult(results, ids.length, this.options);
+    }
+    return createBulkResult(results, true);
+};
+
+MongooseService.prototype.bulkDeleteByIds = function (params, context) {
+    return this._idempotent('bulkDeleteByIds', params, context, () => this._bulkDeleteByIds(params, context));
+};
+
+MongooseService.prototype._bulkDeleteByIds = async function (params, context) {
+    let filter = this._scope({
+        [this.options.idField]: { '$in': params.ids }
+    }, {});
+    let count = await this._transaction(this._flag(params, 'atomic'), async (session) => {
+        let documents = await this.model.find(filter).session(session || null).exec();
+        await this._delete(documents, context, session);
+        return documents.length;
+    });
+    return createResult(200, { message: 'Documents deleted', count: count });
+};
+
+module.exports = MongooseService;
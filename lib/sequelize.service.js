@@ -0,0 +1,1357 @@
+'use strict';
+
+const _ = require('lodash');
+const { parseSQLFilter } = require('../utils/filter.utils');
+const { BadRequestError, NotFoundError, PreconditionFailedError, UnprocessableEntityError, serializeError, classifyError } = require('../utils/error.utils');
+const { createResult, createBulkResult, createRollbackResult } = require('../utils/response.utils');
+const { toSortEntries, readSortValues, createCursorPage, createKeysetFilter, createCursorBody } = require('../utils/cursor.utils');
+const { resolveFormat, createExportStream } = require('../utils/export.utils');
+const { resolveImportFormat, resolveImportSource, readImportRows, inBatches, createImportResult } = require('../utils/import.utils');
+const { isOperatorUpdate, pushItems, pullItems, applyOperators, createUpsertDocument } = require('../utils/update.utils');
+const { readUpdateBody, applyJsonPatch } = require('../utils/patch.utils');
+const { IDEMPOTENCY_HEADER, SequelizeIdempotencyStore, runIdempotent } = require('../utils/idempotency.utils');
+const { createETag, hashETag, collectionETag, createCacheHeaders, isNotModified, isConditional, checkIfMatch, toPreconditionError } = require('../utils/etag.utils');
+
+// The permanentDeleteField used when none is configured
+const DEFAULT_DELETE_FIELD = '_metadata.deleted';
+
+/**
+ * Sequelize Service
+ * @classdesc Transport agnostic CRUD operations for SQL databases using Sequelize.
+ * Every operation takes the parsed params and a context ({ req, headers })
+ * and resolves to { status, body, headers } or throws a CrudderError.
+ * @constructor
+ * @param {Object} model - Sequelize model
+ * @param {Object} options - Options for the Sequelize adapter
+ */
+function SequelizeService(model, options) {
+    this.model = model;
+    this.options = options;
+}
+
+SequelizeService.prototype._customizer = function (objValue, srcValue) {
+    if (_.isArray(objValue)) {
+        return srcValue;
+    }
+};
+
+/**
+ * Convert a sort object into a Sequelize order clause
+ */
+SequelizeService.prototype._order = function (sort) {
+    return Object.entries(sort).map(([field, dir]) => {
+        // Handle both numeric (1/-1) and string ('asc'/'desc') formats
+        const direction = (dir === 1 || dir === 'asc' || dir === 'ASC') ? 'ASC' : 'DESC';
+        return [field, direction];
+    });
+};
+
+/**
+ * Convert a select list into Sequelize attributes. A dotted field inside a JSON attribute,
+ * like metadata.city, reads the whole column and _project trims it afterwards.
+ */
+SequelizeService.prototype._attributes = function (select) {
+    return _.uniq(select.map(field => {
+        const jsonPath = parseSQLFilter.resolveJsonPath(field, this.model);
+        return jsonPath ? jsonPath.attribute : field;
+    }));
+};
+
+/**
+ * Trim the JSON attributes of the documents to the dotted fields of the select list,
+ * so metadata.city gives { metadata: { city } } as on MongoDB
+ * 
+ * @param {Object|Array<Object>} docs - A document or the documents read with _attributes(select)
+ * @param {Array<string>} select - The select list
+ * @returns {Object|Array<Object>} The documents
+ */
+SequelizeService.prototype._project = function (docs, select) {
+    if (!select || select.length === 0) {
+        return docs;
+    }
+    const paths = _.groupBy(select.filter(field => parseSQLFilter.resolveJsonPath(field, this.model)), field => field.split('.')[0]);
+    const attributes = Object.keys(paths).filter(attribute => select.indexOf(attribute) === -1);
+    [].concat(docs).forEach(doc => {
+        attributes.forEach(attribute => {
+            const value = doc ? doc.getDataValue(attribute) : null;
+            if (_.isPlainObject(value)) {
+                doc.setDataValue(attribute, _.pick({ [attribute]: value }, paths[attribute])[attribute] || {});
+            }
+        });
+    });
+    return docs;
+};
+
+/**
+ * Resolve how rows are soft deleted: Sequelize paranoid mode (deletedAt), a boolean
+ * or timestamp column named by permanentDeleteField, or a dotted key inside a JSON column
+ * 
+ * @returns {Object|null} { mode: 'paranoid' | 'timestamp' | 'boolean' | 'json', field }, or null when the model has no deleted marker
+ */
+SequelizeService.prototype._softDelete = function () {
+    if (this.model.options && this.model.options.paranoid && this.model.options.timestamps !== false) {
+        return { mode: 'paranoid', field: (this.model._timestampAttributes || {}).deletedAt || 'deletedAt' };
+    }
+    const field = this.options.permanentDeleteField;
+    const [column, ...path] = field.split('.');
+    const attribute = (this.model.rawAttributes || {})[column];
+    if (!attribute) {
+        return null;
+    }
+    if (path.length > 0) {
+        return { mode: 'json', field: field };
+    }
+    const type = attribute.type && attribute.type.key;
+    return { mode: type === 'DATE' || type === 'DATEONLY' ? 'timestamp' : 'boolean', field: field };
+};
+
+/**
+ * Whether deletes remove rows: permanentDelete is set, or soft delete was never turned on,
+ * i.e. the model is not paranoid and has no column for the default permanentDeleteField
+ */
+SequelizeService.prototype._permanentDelete = function () {
+    return !!this.options.permanentDelete || (!this._softDelete() && this.options.permanentDeleteField === DEFAULT_DELETE_FIELD);
+};
+
+/**
+ * Build the query options of a read: soft deleted rows are hidden unless
+ * params.includeDeleted is set, params.onlyDeleted selects them alone.
+ * Models without a deleted marker are left unscoped.
+ * 
+ * @param {Object} where - The where clause
+ * @param {Object} params - Parsed params with includeDeleted and onlyDeleted
+ * @returns {Object} Query options as { where, paranoid }
+ */
+SequelizeService.prototype._readOptions = function (where, params) {
+    const { Op } = require('sequelize');
+    const softDelete = this._softDelete();
+    if (!softDelete) {
+        if (params.onlyDeleted) {
+            throw new BadRequestError(`Soft delete is not available, the model is not paranoid and has no "${this.options.permanentDeleteField}" column`);
+        }
+        return { where: where };
+    }
+    const field = softDelete.field;
+    let condition;
+    if (params.onlyDeleted) {
+        condition = softDelete.mode === 'boolean' || softDelete.mode === 'json' ? { [field]: true } : { [field]: { [Op.ne]: null } };
+    } else if (params.includeDeleted) {
+        condition = null;
+    } else if (softDelete.mode === 'paranoid') {
+        // Sequelize hides destroyed rows of paranoid models by itself
+        return { where: where };
+    } else if (softDelete.mode === 'timestamp') {
+        condition = { [field]: null };
+    } else {
+        condition = { [Op.or]: [{ [field]: null }, { [field]: false }] };
+    }
+    const options = { where: where };
+    if (condition) {
+        options.where = where && Reflect.ownKeys(where).length > 0 ? { [Op.and]: [where, condition] } : condition;
+    }
+    if (softDelete.mode === 'paranoid') {
+        options.paranoid = false;
+    }
+    return options;
+};
+
+/**
+ * Scope the where clause of a write to the rows reads show, so soft deleted rows are neither changed nor counted
+ */
+SequelizeService.prototype._writeWhere = function (where) {
+    return this._readOptions(where, {}).where;
+};
+
+/**
+ * Read a boolean switch such as `atomic` or `fast` from the params, falling back to the adapter option of the same name
+ */
+SequelizeService.prototype._flag = function (params, name) {
+    return params[name] !== undefined ? !!params[name] : !!this.options[name];
+};
+
+/**
+ * Run a multi-document write, inside a transaction when it is atomic.
+ * The work receives the transaction (undefined when not atomic) and returns its outcome;
+ * the transaction is rolled back when the work throws or reports a failed item.
+ * 
+ * @param {boolean} atomic - Whether to use a transaction
+ * @param {Function} work - async (transaction) => results
+ * @returns {Promise<*>} The outcome of the work
+ */
+SequelizeService.prototype._transaction = async function (atomic, work) {
+    if (!atomic) {
+        return work(undefined);
+    }
+    const transaction = await this.model.sequelize.transaction();
+    try {
+        const outcome = await work(transaction);
+        if (Array.isArray(outcome) && outcome.some(result => result.error)) {
+            await transaction.rollback();
+        } else {
+            await transaction.commit();
+        }
+        return outcome;
+    } catch (err) {
+        await transaction.rollback();
+        throw err;
+    }
+};
+
+/**
+ * The attribute ETags are derived from: the model's `version` attribute or the versionField option
+ */
+SequelizeService.prototype._versionField = function () {
+    const field = this.model._versionAttribute || this.options.versionField;
+    return field && this.model.rawAttributes[field] ? field : null;
+};
+
+/**
+ * The ETag of an instance, or null when it has no version
+ */
+SequelizeService.prototype._etag = function (document) {
+    const field = this._versionField();
+    return field && document ? createETag(document.get(field)) : null;
+};
+
+SequelizeService.prototype._etagHeaders = function (document) {
+    const etag = this._etag(document);
+    return etag ? { ETag: etag } : {};
+};
+
+/**
+ * The attribute Last-Modified is read from: the lastModifiedField option or the updatedAt timestamp
+ */
+SequelizeService.prototype._lastModifiedField = function () {
+    const field = this.options.lastModifiedField || (this.model._timestampAttributes || {}).updatedAt;
+    return field && this.model.rawAttributes[field] ? field : null;
+};
+
+/**
+ * ETag and Last-Modified of an instance. Instances without a version get a weak ETag of their content.
+ */
+SequelizeService.prototype._cacheHeaders = function (document) {
+    const field = this._lastModifiedField();
+    return createCacheHeaders(this._etag(document) || hashETag(document), field ? document.get(field) : null);
+};
+
+/**
+ * ETag and Last-Modified of the rows matching the read options, from their count and latest change,
+ * so an unchanged collection is answered without reading it. Empty without a last modified field,
+ * and for unconditional requests unless the collectionCacheHeaders option asks for them.
+ */
+SequelizeService.prototype._collectionCacheHeaders = async function (options, context) {
+    const field = this._lastModifiedField();
+    if (!field || !(this.options.collectionCacheHeaders || isConditional(context.headers))) {
+        return {};
+    }
+    const { fn, col } = require('sequelize');
+    const stats = await this.model.findOne(Object.assign({}, options, {
+        attributes: [[fn('COUNT', col('*')), 'count'], [fn('MAX', col(this.model.rawAttributes[field].field || field)), 'lastModified']],
+        raw: true
+    }));
+    const lastModified = stats && stats.lastModified ? new Date(stats.lastModified) : null;
+    return createCacheHeaders(collectionETag(Number(stats ? stats.count : 0), lastModified), lastModified);
+};
+
+/**
+ * Check the If-Match header of a request against a loaded instance (or null when it was not found)
+ *
+ * @returns {boolean} True when the request carried If-Match
+ * @throws {PreconditionFailedError} When the document is missing or at another version
+ */
+SequelizeService.prototype._checkIfMatch = function (document, context) {
+    return checkIfMatch(context.headers, !!document, this._etag(document));
+};
+
+/**
+ * Values moving the versionField of a loaded instance forward. Models with `version: true`
+ * are incremented by Sequelize on save, which also fails with an OptimisticLockError when
+ * the stored version moved meanwhile.
+ */
+SequelizeService.prototype._nextVersion = function (document) {
+    const field = this._versionField();
+    if (!field || field === this.model._versionAttribute) {
+        return {};
+    }
+    return { [field]: (Number(document.get(field)) || 0) + 1 };
+};
+
+/**
+ * Update a loaded instance and move its version forward. A versionField other than the model's
+ * `version` attribute is first claimed by an UPDATE filtered on the loaded version, in the same
+ * transaction, so a concurrent change fails with an OptimisticLockError like `version: true` does.
+ */
+SequelizeService.prototype._save = async function (document, values, transaction) {
+    const next = this._nextVersion(document);
+    const field = Object.keys(next)[0];
+    if (!field) {
+        return document.update(values, { transaction: transaction });
+    }
+    const pk = this.model.primaryKeyAttribute;
+    const where = { [pk]: document.get(pk), [field]: document.get(field) };
+    const write = async (t) => {
+        const [claimed] = await this.model.update(next, { where: where, transaction: t, hooks: false, silent: true });
+        if (!claimed) {
+            const { OptimisticLockError } = require('sequelize');
+            throw new OptimisticLockError({ modelName: this.model.name, values: next, where: where });
+        }
+        return document.update(Object.assign({}, values, next), { transaction: t });
+    };
+    return transaction ? write(transaction) : this.model.sequelize.transaction(write);
+};
+
+/**
+ * Value incrementing the version column in SQL, for updates that do not go through an instance
+ */
+SequelizeService.prototype._versionIncrement = function () {
+    const field = this._versionField();
+    if (!field) {
+        return {};
+    }
+    const column = this.model.sequelize.getQueryInterface().quoteIdentifier(this.model.rawAttributes[field].field || field);
+    return { [field]: this.model.sequelize.literal(`COALESCE(${column}, 0) + 1`) };
+};
+
+/**
+ * The store of Idempotency-Key results: the idempotencyStore option, or the
+ * table of SequelizeIdempotencyStore, created on first use. Null when the option is false.
+ */
+SequelizeService.prototype._idempotencyStore = function () {
+    if (this.options.idempotencyStore === false) {
+        return null;
+    }
+    if (!this.idempotencyStore) {
+        this.idempotencyStore = this.options.idempotencyStore || new SequelizeIdempotencyStore(this.model);
+    }
+    return this.idempotencyStore;
+};
+
+/**
+ * Run a write at most once per Idempotency-Key header, replaying the stored result for retries
+ */
+SequelizeService.prototype._idempotent = async function (operation, params, context, run) {
+    const key = context.headers ? context.headers[IDEMPOTENCY_HEADER] : undefined;
+    if (!key) {
+        return run();
+    }
+    return runIdempotent(this._idempotencyStore(), this.model.name, operation, params, context, run, this.options.idempotencyTTL);
+};
+
+/**
+ * Count documents matching filter
+ */
+SequelizeService.prototype.count = async function (params, context) {
+    const { Op } = require('sequelize');
+    let filter = parseSQLFilter.FilterParse(params.filter, Op, { model: this.model });
+
+    let count = await this.model.count(this._readOptions(filter, params));
+    return createResult(200, count);
+};
+
+/**
+ * Find documents with filtering, sorting, and pagination
+ */
+SequelizeService.prototype.find = async function (params, context) {
+    if (params.cursor !== undefined && params.cursor !== null) {
+        return this._findByCursor(params, context);
+    }
+    const { Op } = require('sequelize');
+    let filter = parseSQLFilter.FilterParse(params.filter, Op, { model: this.model });
+
+    const options = this._readOptions(filter, params);
+    const headers = await this._collectionCacheHeaders(params.metadata ? this._readOptions(undefined, params) : options, context);
+    if (isNotModified(context.headers, headers)) {
+        return createResult(304, undefined, headers);
+    }
+
+    // Attributes (field selection)
+    if (params.select && params.select.length > 0) {
+        options.attributes = this._attributes(params.select);
+    }
+
+    // Order (sorting)
+    if (params.sort) {
+        options.order = this._order(params.sort);
+    }
+
+    // Pagination: use params.limit if provided, otherwise use defaultLimit from options, or no limit
+    let limit = params.limit;
+    if (limit === undefined || limit === null) {
+        limit = this.options.defaultLimit || -1;
+    }
+
+    if (limit && limit !== -1) {
+        options.offset = params.skip || 0;
+        options.limit = limit;
+    }
+
+    let docs = this._project(await this.model.findAll(options), params.select);
+
+    if (!params.metadata) {
+        return createResult(200, docs, headers);
+    }
+
+    // Get total and matched counts for metadata
+    const totalCount = await this.model.count(this._readOptions(undefined, params));
+    const matched = await this.model.count(this._readOptions(filter, params));
+
+    return createResult(200, {
+        _metadata: {
+            page: Math.floor((params.skip || 0) / (params.limit || 1)) + 1,
+            count: params.limit,
+            matched: matched,
+            totalCount: totalCount
+        },
+        data: docs
+    }, headers);
+};
+
+/**
+ * Whether the dialect sorts NULL before other values in ascending order, as MySQL, MariaDB,
+ * SQLite and SQL Server do. PostgreSQL, Oracle and the others sort it last.
+ */
+SequelizeService.prototype._nullsFirst = function () {
+    return ['mysql', 'mariadb', 'sqlite', 'mssql'].indexOf(this.model.sequelize.getDialect()) > -1;
+};
+
+/**
+ * Keyset pagination: continue after the position encoded in params.cursor
+ */
+SequelizeService.prototype._findByCursor = async function (params, context) {
+    const { Op } = require('sequelize');
+    let page = createCursorPage(params, this.options);
+    let scope = this._readOptions(parseSQLFilter.FilterParse(params.filter, Op, { model: this.model }), params);
+    let keyset = createKeysetFilter(page, { gt: Op.gt, lt: Op.lt, ne: Op.ne, or: Op.or }, this._nullsFirst());
+
+    const options = Object.assign({}, scope, {
+        where: keyset ? { [Op.and]: [scope.where || {}, keyset] } : scope.where,
+        order: page.querySort.map(([field, dir]) => [field, dir > 0 ? 'ASC' : 'DESC']),
+        limit: page.limit + 1
+    });
+
+    // Attributes (field selection), keeping the sort fields needed to build the next cursor
+    if (params.select && params.select.length > 0) {
+        options.attributes = this._attributes(_.union(params.select, page.entries.map(([field]) => field)));
+    }
+
+    let docs = await this.model.findAll(options);
+    let body = createCursorBody(page, docs);
+    this._project(body.data, params.select);
+    if (params.metadata) {
+        body._metadata = {
+            count: page.limit,
+            matched: await this.model.count(scope),
+            totalCount: await this.model.count(this._readOptions(undefined, params))
+        };
+    }
+    return createResult(200, body);
+};
+
+/**
+ * Read the matching rows in batches, walking the sort order with a keyset
+ * so every batch is an indexed range scan instead of a growing OFFSET
+ */
+SequelizeService.prototype._scan = async function* (options, entries, skip, limit, select) {
+    const { Op } = require('sequelize');
+    const batchSize = this.options.batchSize || 500;
+    let remaining = limit > 0 ? limit : Infinity;
+    let values = null;
+    let offset = skip || 0;
+    while (remaining > 0) {
+        let keyset = createKeysetFilter({ querySort: entries, values: values }, { gt: Op.gt, lt: Op.lt, ne: Op.ne, or: Op.or }, this._nullsFirst());
+        let size = Math.min(batchSize, remaining);
+        let rows = await this.model.findAll(Object.assign({}, options, {
+            where: keyset ? { [Op.and]: [options.where || {}, keyset] } : options.where,
+            order: entries.map(([field, dir]) => [field, dir > 0 ? 'ASC' : 'DESC']),
+            offset: offset,
+            limit: size
+        }));
+        if (rows.length > 0) {
+            // Read before the rows are trimmed to the select list
+            values = readSortValues(entries, rows[rows.length - 1]);
+        }
+        for (const row of this._project(rows, select)) {
+            yield row;
+        }
+        if (rows.length < size) {
+            return;
+        }
+        remaining -= rows.length;
+        offset = 0;
+    }
+};
+
+/**
+ * Stream the documents matching the filter as NDJSON or CSV using batched queries
+ */
+SequelizeService.prototype.export = async function (params, context) {
+    const { Op } = require('sequelize');
+    let format = resolveFormat(params, context.headers);
+    let filter = parseSQLFilter.FilterParse(params.filter, Op, { model: this.model });
+    let entries = toSortEntries(params.sort, this.options.idField);
+
+    const options = this._readOptions(filter, params);
+
+    // Attributes (field selection), keeping the sort fields needed to continue between batches
+    if (params.select && params.select.length > 0) {
+        options.attributes = this._attributes(_.union(params.select, entries.map(([field]) => field)));
+    }
+
+    let source = this._scan(options, entries, params.skip, params.limit, params.select);
+    let { stream, headers } = createExportStream(source, format, params.select);
+    return createResult(200, stream, headers);
+};
+
+/**
+ * Find a single document by ID
+ */
+SequelizeService.prototype.findById = async function (params, context) {
+    const options = this._readOptions({ [this.options.idField]: params.id }, params);
+
+    // Attributes (field selection)
+    if (params.select && params.select.length > 0) {
+        options.attributes = this._attributes(params.select);
+    }
+
+    let doc = this._project(await this.model.findOne(options), params.select);
+
+    if (!doc) {
+        throw new NotFoundError();
+    }
+
+    const headers = this._cacheHeaders(doc);
+    if (isNotModified(context.headers, headers)) {
+        return createResult(304, undefined, headers);
+    }
+    return createResult(200, doc, headers);
+};
+
+/**
+ * Create one or more documents
+ */
+SequelizeService.prototype.create = function (params, context) {
+    return this._idempotent('create', params, context, () => this._create(params, context));
+};
+
+SequelizeService.prototype._create = async function (params, context) {
+    let data = params.data;
+    let upsert = params.upsert;
+    let atomic = this._flag(params, 'atomic') && Array.isArray(data);
+    let bulk = this._flag(params, 'bulkInsert') && Array.isArray(data);
+    let documents = Array.isArray(data) ? data : [data];
+
+    let results = await this._transaction(atomic, async (transaction) => {
+        if (bulk) {
+            return this._createInBatches(documents, upsert, params.batchSize, transaction);
+        }
+        const results = [];
+        for (const [index, curr] of documents.entries()) {
+            let id = curr ? curr[this.options.idField] : undefined;
+            try {
+                let result = await this._createOne(curr, upsert, transaction);
+                results.push({ index: index, id: result.get(this.options.idField), status: 200, data: result });
+            } catch (err) {
+                results.push({ index: index, id: id, status: classifyError(err, this.options.mapError).status, error: err });
+                if (atomic) {
+                    break;
+                }
+            }
+        }
+        return results;
+    });
+
+    if (atomic && results.some(result => result.error)) {
+        return createRollbackResult(results, documents.length, this.options);
+    }
+    return createBulkResult(results, Array.isArray(data), this.options);
+};
+
+/**
+ * Create a single document, or update it when upsert is set and it carries an id
+ */
+SequelizeService.prototype._createOne = async function (data, upsert, transaction) {
+    let id = data ? data[this.options.idField] : undefined;
+    if (upsert && id !== undefined) {
+        // Upsert: update if exists, create if not
+        const [instance] = await this.model.upsert(data, {
+            returning: true,
+            transaction: transaction
+        });
+        return instance;
+    }
+    return this.model.create(data, { transaction: transaction });
+};
+
+/**
+ * Create the documents with one bulkCreate per batch of batchSize documents.
+ * Inside a transaction the first failed batch ends the run.
+ */
+SequelizeService.prototype._createInBatches = async function (documents, upsert, batchSize, transaction) {
+    let items = documents.map((data, index) => ({ index: index, data: data }));
+    let results = [];
+    for (const batch of _.chunk(items, batchSize || this.options.batchSize || 500)) {
+        results = results.concat(await this._insertBatch(batch, upsert, transaction));
+        if (transaction && results.some(result => result.error)) {
+            break;
+        }
+    }
+    return results;
+};
+
+/**
+ * Insert a batch with a single bulkCreate. The items are validated one by one first, so validation
+ * failures keep their input index; when the statement itself fails, e.g. on a unique constraint,
+ * the batch is retried row by row to tell the failed rows apart.
+ * With upsert, rows whose primary key exists are updated through `updateOnDuplicate`.
+ * 
+ * @param {Array<Object>} batch - Items as { index, data }
+ * @param {boolean} upsert - Update existing rows
+ * @param {Object} [transaction] - Transaction of an atomic write; nothing is written once an item fails
+ * @returns {Promise<Array<Object>>} Outcomes as { index, id, status, data } or { index, id, status, error }
+ */
+SequelizeService.prototype._insertBatch = async function (batch, upsert, transaction) {
+    const idField = this.options.idField;
+    const results = [];
+    const valid = [];
+    for (const item of batch) {
+        try {
+            await this.model.build(item.data).validate();
+            valid.push(item);
+        } catch (err) {
+            results.push({ index: item.index, id: item.data ? item.data[idField] : undefined, status: classifyError(err, this.options.mapError).status, error: err });
+        }
+    }
+    if (valid.length === 0 || (transaction && results.length > 0)) {
+        return results;
+    }
+
+    const options = {};
+    if (upsert) {
+        const attributes = Object.keys(this.model.rawAttributes || {});
+        const keys = _.union(...valid.map(item => Object.keys(item.data)));
+        options.updateOnDuplicate = _.difference(_.intersection(keys, attributes), [idField, this.model.primaryKeyAttribute, 'createdAt']);
+        if (options.updateOnDuplicate.length === 0) {
+            delete options.updateOnDuplicate;
+        }
+    }
+    // A savepoint keeps the transaction usable when the statement fails
+    const savepoint = transaction ? await this.model.sequelize.transaction({ transaction: transaction }) : undefined;
+    try {
+        const instances = await this.model.bulkCreate(valid.map(item => item.data), Object.assign(options, { transaction: savepoint }));
+        if (savepoint) {
+            await savepoint.commit();
+        }
+        instances.forEach((instance, i) => {
+            results.push({ index: valid[i].index, id: instance.get(idField), status: 200, data: instance });
+        });
+    } catch (err) {
+        if (savepoint) {
+            await savepoint.rollback();
+        }
+        for (const item of valid) {
+            try {
+                const instance = await this._createOne(item.data, upsert, transaction);
+                results.push({ index: item.index, id: instance.get(idField), status: 200, data: instance });
+            } catch (itemErr) {
+                results.push({ index: item.index, id: item.data[idField], status: classifyError(itemErr, this.options.mapError).status, error: itemErr });
+                if (transaction) {
+                    break;
+                }
+            }
+        }
+    }
+    return _.sortBy(results, 'index');
+};
+
+/**
+ * Import the rows of a CSV, NDJSON or JSON upload in batches and report the outcome of every row
+ */
+SequelizeService.prototype.import = async function (params, context) {
+    let format = resolveImportFormat(params, context.headers);
+    let rows = readImportRows(resolveImportSource(params, context), format, params.mapping);
+    let batchSize = params.batchSize || this.options.batchSize || 500;
+    let report = [];
+    for await (const batch of inBatches(rows, batchSize)) {
+        report = report.concat(await this._importBatch(batch, params.upsert, context, this._flag(params, 'bulkInsert')));
+    }
+    return createImportResult(report);
+};
+
+SequelizeService.prototype._importBatch = async function (batch, upsert, context, bulk) {
+    if (bulk) {
+        return this._importBulk(batch, upsert);
+    }
+    const report = [];
+    for (const curr of batch) {
+        if (curr.error) {
+            report.push({ row: curr.row, status: 'failed', error: curr.error });
+            continue;
+        }
+        let id = curr.data[this.options.idField];
+        try {
+            let document = null;
+            if (upsert && id !== undefined) {
+                document = await this.model.findOne({ where: { [this.options.idField]: id } });
+            }
+            if (document) {
+                await document.update(curr.data);
+                report.push({ row: curr.row, status: 'updated', id: id });
+            } else {
+                document = await this.model.create(curr.data);
+                report.push({ row: curr.row, status: 'created', id: document.get(this.options.idField) });
+            }
+        } catch (err) {
+            report.push({ row: curr.row, status: 'failed', id: id, error: serializeError(err) });
+        }
+    }
+    return report;
+};
+
+/**
+ * Import a batch with a single bulkCreate, see _insertBatch
+ */
+SequelizeService.prototype._importBulk = async function (batch, upsert) {
+    const { Op } = require('sequelize');
+    const idField = this.options.idField;
+    const report = batch.filter(curr => curr.error).map(curr => ({ row: curr.row, status: 'failed', error: curr.error }));
+    const rows = batch.filter(curr => !curr.error);
+
+    // Rows that already exist are reported as updated
+    let existing = [];
+    const ids = upsert ? rows.map(curr => curr.data[idField]).filter(id => id !== undefined) : [];
+    if (ids.length > 0) {
+        const documents = await this.model.findAll({ where: { [idField]: { [Op.in]: ids } }, attributes: [idField] });
+        existing = documents.map(doc => String(doc.get(idField)));
+    }
+
+    const results = await this._insertBatch(rows.map(curr => ({ index: curr.row, data: curr.data })), upsert);
+    results.forEach(result => {
+        if (result.error) {
+            report.push({ row: result.index, status: 'failed', id: result.id, error: serializeError(result.error) });
+        } else {
+            report.push({ row: result.index, status: existing.indexOf(String(result.id)) > -1 ? 'updated' : 'created', id: result.id });
+        }
+    });
+    return _.sortBy(report, 'row');
+};
+
+/**
+ * Update a document by ID
+ */
+SequelizeService.prototype.updateById = async function (params, context) {
+    let id = params.id;
+    let data = readUpdateBody(params.data, context.headers);
+    let upsert = params.upsert;
+    if (!Array.isArray(data) && this._replaceMode(params)) {
+        return this.replaceById(params, context);
+    }
+    // Rejects malformed update operators before anything is loaded
+    isOperatorUpdate(data);
+
+    const where = { [this.options.idField]: id };
+    let document = await this.model.findOne({ where: this._writeWhere(where) });
+    const ifMatch = this._checkIfMatch(document, context);
+
+    if (!document && !upsert) {
+        throw new NotFoundError();
+    }
+
+    if (document) {
+        try {
+            document = await this._applyUpdate(document, data, undefined, ifMatch);
+        } catch (err) {
+            throw ifMatch ? toPreconditionError(err) : err;
+        }
+        return createResult(200, document, this._etagHeaders(document));
+    }
+
+    // Upsert: create new document
+    const values = this._upsertValues(data);
+    values[this.options.idField] = id;
+    const newDocument = await this.model.create(values);
+    return createResult(200, newDocument, this._etagHeaders(newDocument));
+};
+
+/**
+ * Replace a document by ID with the body. Columns missing from the body fall back to their
+ * default value or NULL, protected columns (primary key, timestamps, deleted flag) keep their stored value.
+ */
+SequelizeService.prototype.replaceById = async function (params, context) {
+    let id = params.id;
+    let data = params.data;
+    if (!_.isPlainObject(data) || isOperatorUpdate(data)) {
+        throw new BadRequestError('A replacement must be a document without update operators');
+    }
+
+    const where = { [this.options.idField]: id };
+    const protectedFields = this._protectedFields();
+    const replacement = _.omit(data, protectedFields);
+    let document = await this.model.findOne({ where: this._writeWhere(where) });
+    const ifMatch = this._checkIfMatch(document, context);
+
+    if (!document && !params.upsert) {
+        throw new NotFoundError();
+    }
+
+    if (!document) {
+        const newDocument = await this.model.create({ ...replacement, ...where });
+        return createResult(200, newDocument, this._etagHeaders(newDocument));
+    }
+
+    const defaults = this.model.build().get({ plain: true });
+    const values = {};
+    Object.keys(this.model.rawAttributes).forEach(attribute => {
+        if (protectedFields.indexOf(attribute) > -1) {
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(replacement, attribute)) {
+            values[attribute] = replacement[attribute];
+        } else {
+            values[attribute] = defaults[attribute] === undefined ? null : defaults[attribute];
+        }
+    });
+    try {
+        document = await this._save(document, values);
+    } catch (err) {
+        throw ifMatch ? toPreconditionError(err) : err;
+    }
+    return createResult(200, document, this._etagHeaders(document));
+};
+
+/**
+ * Attributes a replacement cannot change
+ */
+SequelizeService.prototype._protectedFields = function () {
+    const softDelete = this._softDelete();
+    const fields = [this.options.idField, this.model.primaryKeyAttribute, this._versionField()].concat(_.values(this.model._timestampAttributes));
+    if (softDelete) {
+        fields.push(softDelete.field.split('.')[0]);
+    }
+    return _.uniq(_.compact(fields));
+};
+
+/**
+ * Whether updateById replaces instead of merging, from the mode param or option
+ */
+SequelizeService.prototype._replaceMode = function (params) {
+    let mode = params.mode || this.options.mode || 'merge';
+    if (mode !== 'merge' && mode !== 'replace') {
+        throw new BadRequestError(`Unsupported update mode: ${mode}`);
+    }
+    return mode === 'replace';
+};
+
+/**
+ * Values inserted by an upsert that matched nothing: the body itself, the result of its
+ * update operators, or its JSON Patch applied to an empty document
+ */
+SequelizeService.prototype._upsertValues = function (data) {
+    if (Array.isArray(data)) {
+        return applyJsonPatch({}, data);
+    }
+    return isOperatorUpdate(data) ? createUpsertDocument(data) : Object.assign({}, data);
+};
+
+/**
+ * Apply the update to a loaded instance when something changed
+ */
+SequelizeService.prototype._applyUpdate = async function (document, data, transaction, ifMatch) {
+    if (Array.isArray(data)) {
+        return this._applyPatch(document, data, transaction);
+    }
+    if (isOperatorUpdate(data)) {
+        return this._applyOperators(document, data, transaction, ifMatch);
+    }
+    const oldData = document.toJSON();
+    const updatedData = _.mergeWith({}, oldData, data, this._customizer);
+
+    if (_.isEqual(oldData, updatedData)) {
+        return document;
+    }
+
+    return this._save(document, data, transaction);
+};
+
+/**
+ * Apply a JSON Patch to the JSON form of a loaded instance and update the columns it changed.
+ * A removed column is set to NULL.
+ */
+SequelizeService.prototype._applyPatch = async function (document, patch, transaction) {
+    const attributes = this.model.rawAttributes;
+    const current = JSON.parse(JSON.stringify(document.get({ plain: true })));
+    const patched = applyJsonPatch(current, patch);
+    const values = {};
+    _.union(Object.keys(current), Object.keys(patched)).forEach(key => {
+        if (_.isEqual(current[key], patched[key])) {
+            return;
+        }
+        if (!attributes[key]) {
+            throw new UnprocessableEntityError(`Unknown field "${key}" in JSON Patch`);
+        }
+        if (key === this.options.idField) {
+            throw new UnprocessableEntityError(`A JSON Patch cannot change "${key}"`);
+        }
+        values[key] = patched[key] === undefined ? null : patched[key];
+    });
+    if (_.isEmpty(values)) {
+        return document;
+    }
+    return this._save(document, values, transaction);
+};
+
+/**
+ * Run update operators as a single UPDATE of the instance's row and reload it.
+ * After an If-Match check the UPDATE only matches the loaded version.
+ */
+SequelizeService.prototype._applyOperators = async function (document, update, transaction, ifMatch) {
+    const pk = this.model.primaryKeyAttribute;
+    const values = this._operatorValues(update, document);
+    if (_.isEmpty(values)) {
+        return document;
+    }
+    const where = { [pk]: document.get(pk) };
+    const field = this._versionField();
+    if (ifMatch && field) {
+        where[field] = document.get(field);
+    }
+    const [updated] = await this.model.update(values, { where: where, transaction: transaction });
+    if (!updated && ifMatch) {
+        throw new PreconditionFailedError('The document was changed since it was read');
+    }
+    return document.reload({ transaction: transaction });
+};
+
+/**
+ * Translate update operators into Model.update values. $set writes the column, $unset sets it
+ * to NULL, $inc adds to it in SQL, and $push/$pull use array functions on PostgreSQL ARRAY and
+ * JSONB columns. Paths inside JSON columns, and arrays on other dialects, are changed on the
+ * loaded instance and written as a whole, so they are not available without one.
+ *
+ * @param {Object} update - The update operators
+ * @param {Object} [document] - The loaded instance, absent on the fast path
+ * @returns {Object} The values to update
+ */
+SequelizeService.prototype._operatorValues = function (update, document) {
+    const sequelize = this.model.sequelize;
+    const attributes = this.model.rawAttributes;
+    const postgres = sequelize.getDialect() === 'postgres';
+    const quote = column => sequelize.getQueryInterface().quoteIdentifier(attributes[column].field || column);
+    const values = {};
+    const inMemory = {};
+    const columns = [];
+
+    _.forEach(update, (fields, operator) => {
+        _.forEach(fields, (value, path) => {
+            const [column, ...rest] = path.split('.');
+            if (!attributes[column]) {
+                throw new BadRequestError(`Unknown field "${column}" in ${operator}`);
+            }
+            if (operator === '$push' && pushItems(value).length === 0) {
+                return;
+            }
+            const type = attributes[column].type && attributes[column].type.key;
+            const arrayOperator = operator === '$push' || operator === '$pull';
+            if (rest.length > 0 || (arrayOperator && !(postgres && (type === 'ARRAY' || type === 'JSONB')))) {
+                if (!document) {
+                    throw new BadRequestError(`${operator} on "${path}" is not supported in fast mode`);
+                }
+                _.set(inMemory, [operator, path], value);
+                return;
+            }
+            if (columns.indexOf(column) > -1) {
+                throw new BadRequestError(`Conflicting update operators on "${column}"`);
+            }
+            columns.push(column);
+            if (operator === '$set') {
+                values[column] = value;
+            } else if (operator === '$unset') {
+                values[column] = null;
+            } else if (operator === '$inc') {
+                values[column] = sequelize.literal(`COALESCE(${quote(column)}, 0) + ${sequelize.escape(value)}`);
+            } else if (operator === '$push' && type === 'ARRAY') {
+                values[column] = sequelize.literal(`array_cat(${quote(column)}, CAST(${sequelize.escape(pushItems(value))} AS ${attributes[column].type.toSql()}))`);
+            } else if (operator === '$pull' && type === 'ARRAY') {
+                values[column] = sequelize.literal(pullItems(value).reduce((sql, item) => `array_remove(${sql}, ${sequelize.escape(item)})`, quote(column)));
+            } else if (operator === '$push') {
+                values[column] = sequelize.literal(`COALESCE(${quote(column)}, '[]'::jsonb) || ${sequelize.escape(JSON.stringify(pushItems(value)))}::jsonb`);
+            } else {
+                const items = pullItems(value).map(item => `${sequelize.escape(JSON.stringify(item))}::jsonb`);
+                values[column] = sequelize.literal(`(SELECT COALESCE(jsonb_agg(e.value ORDER BY e.ordinality), '[]'::jsonb) ` +
+                    `FROM jsonb_array_elements(COALESCE(${quote(column)}, '[]'::jsonb)) WITH ORDINALITY AS e(value, ordinality) ` +
+                    `WHERE e.value NOT IN (${items.join(', ')}))`);
+            }
+        });
+    });
+
+    if (!_.isEmpty(inMemory)) {
+        const target = {};
+        const changed = _.uniq(_.flatMap(inMemory, fields => Object.keys(fields).map(path => path.split('.')[0])));
+        changed.forEach(column => {
+            if (columns.indexOf(column) > -1) {
+                throw new BadRequestError(`Conflicting update operators on "${column}"`);
+            }
+            target[column] = _.cloneDeep(document.get(column));
+        });
+        applyOperators(target, inMemory);
+        changed.forEach(column => {
+            values[column] = target[column] === undefined ? null : target[column];
+        });
+    }
+    return Object.assign(this._versionIncrement(), values);
+};
+
+/**
+ * Update documents matching filter
+ */
+SequelizeService.prototype.updateByFilter = async function (params, context) {
+    if (Array.isArray(params.data)) {
+        throw new BadRequestError('A JSON Patch can only update documents by id');
+    }
+    const { Op } = require('sequelize');
+    let filter = this._writeWhere(parseSQLFilter.FilterParse(params.filter, Op, { model: this.model }));
+    if (this._flag(params, 'fast')) {
+        return this._updateMany(filter || {}, params);
+    }
+    let data = params.data;
+    let upsert = params.upsert;
+    // Rejects malformed update operators before anything is loaded
+    isOperatorUpdate(data);
+    let atomic = this._flag(params, 'atomic');
+    let total = 0;
+
+    const results = await this._transaction(atomic, async (transaction) => {
+        let documents = await this.model.findAll({ where: filter, transaction: transaction });
+        const results = [];
+        total = documents.length;
+
+        for (const [index, curr] of documents.entries()) {
+            let id = curr.get(this.options.idField);
+            try {
+                results.push({ index: index, id: id, status: 200, data: await this._applyUpdate(curr, data, transaction) });
+            } catch (err) {
+                results.push({ index: index, id: id, status: classifyError(err, this.options.mapError).status, error: err });
+                if (atomic) {
+                    break;
+                }
+            }
+        }
+
+        // Handle upsert if no documents found
+        if (documents.length === 0 && upsert) {
+            try {
+                const newDocument = await this.model.create(this._upsertValues(data), { transaction: transaction });
+                results.push({ index: 0, id: newDocument.get(this.options.idField), status: 200, data: newDocument });
+            } catch (err) {
+                results.push({ index: 0, status: classifyError(err, this.options.mapError).status, error: err });
+            }
+        }
+        return results;
+    });
+
+    if (atomic && results.some(result => result.error)) {
+        return createRollbackResult(results, total, this.options);
+    }
+    return createBulkResult(results, true);
+};
+
+/**
+ * Mark a document as deleted or restore it, following the model's soft delete mode.
+ * A dotted flag lives inside a JSON column, which is written as a whole since it may still be null.
+ * With ifMatch the flag is saved through _save, so it fails when the version moved since the read.
+ */
+SequelizeService.prototype._setDeleted = async function (document, deleted, transaction, ifMatch) {
+    const softDelete = this._softDelete();
+    const options = { transaction: transaction };
+    const write = (values) => ifMatch ? this._save(document, values, transaction) : document.update(values, options);
+    if (!softDelete) {
+        throw new BadRequestError(`Soft delete is not available, the model is not paranoid and has no "${this.options.permanentDeleteField}" column`);
+    }
+    if (softDelete.mode === 'paranoid') {
+        return deleted ? document.destroy(options) : document.restore(options);
+    }
+    if (softDelete.mode === 'timestamp') {
+        return write({ [softDelete.field]: deleted ? new Date() : null });
+    }
+    if (softDelete.mode === 'boolean') {
+        return write({ [softDelete.field]: deleted });
+    }
+    const [column, ...path] = softDelete.field.split('.');
+    const json = _.set(_.cloneDeep(document.get(column)) || {}, path, deleted);
+    return write({ [column]: json });
+};
+
+/**
+ * Destroy an instance only while it is still at its loaded version, running its hooks.
+ * Paranoid models are marked deleted unless force is set.
+ *
+ * @throws {PreconditionFailedError} When the version moved since the instance was read
+ */
+SequelizeService.prototype._destroyVersion = async function (document, force, transaction) {
+    const pk = this.model.primaryKeyAttribute;
+    const field = this._versionField();
+    const destroyed = await this.model.destroy({
+        where: { [pk]: document.get(pk), [field]: document.get(field) },
+        force: force,
+        individualHooks: true,
+        transaction: transaction
+    });
+    if (!destroyed) {
+        throw new PreconditionFailedError('The document was changed since it was read');
+    }
+};
+
+/**
+ * Fast path of updateByFilter: a single Model.update, without loading the rows.
+ * Instance hooks and the deep merge of JSON columns are skipped, bulk hooks still run.
+ */
+SequelizeService.prototype._updateMany = async function (filter, params) {
+    const operators = isOperatorUpdate(params.data);
+    const body = await this._transaction(this._flag(params, 'atomic'), async (transaction) => {
+        const matched = await this.model.count({ where: filter, transaction });
+        if (matched === 0 && params.upsert) {
+            const newDocument = await this.model.create(this._upsertValues(params.data), { transaction });
+            return { message: 'Documents updated', matched: 0, modified: 0, upserted: newDocument.get(this.options.idField) };
+        }
+        const [modified] = await this.model.update(operators ? this._operatorValues(params.data) : Object.assign({}, params.data, this._versionIncrement()), { where: filter, transaction });
+        return { message: 'Documents updated', matched: matched, modified: modified };
+    });
+    return createResult(200, body);
+};
+
+/**
+ * Fast path of deleteByFilter: a single Model.destroy, or a Model.update marking the rows deleted
+ */
+SequelizeService.prototype._deleteMany = async function (filter, params) {
+    const softDelete = this._softDelete();
+    const permanent = this._permanentDelete();
+    if (!permanent && !softDelete) {
+        throw new BadRequestError(`Soft delete is not available, the model is not paranoid and has no "${this.options.permanentDeleteField}" column`);
+    }
+    const body = await this._transaction(this._flag(params, 'atomic'), async (transaction) => {
+        const matched = await this.model.count({ where: filter, transaction });
+        let modified;
+        if (permanent || softDelete.mode === 'paranoid') {
+            modified = await this.model.destroy({ where: filter, force: permanent, transaction });
+        } else {
+            const value = softDelete.mode === 'timestamp' ? new Date() : true;
+            [modified] = await this.model.update({ [softDelete.field]: value }, { where: filter, transaction });
+        }
+        return { message: 'Documents deleted', count: matched, matched: matched, modified: modified };
+    });
+    return createResult(200, body);
+};
+
+/**
+ * Delete the given documents, permanently or by marking them deleted. With ifMatch the write
+ * is filtered on the loaded version, so a document changed since it was read is left untouched.
+ */
+SequelizeService.prototype._delete = async function (documents, transaction, ifMatch) {
+    const permanent = this._permanentDelete();
+    const softDelete = this._softDelete();
+    const versioned = ifMatch && this._versionField();
+    for (const curr of documents) {
+        if (versioned && (permanent || (softDelete && softDelete.mode === 'paranoid'))) {
+            await this._destroyVersion(curr, permanent, transaction);
+        } else if (permanent) {
+            await curr.destroy({ force: true, transaction: transaction });
+        } else {
+            await this._setDeleted(curr, true, transaction, versioned);
+        }
+    }
+};
+
+/**
+ * Delete a document by ID
+ */
+SequelizeService.prototype.deleteById = async function (params, context) {
+    const where = { [this.options.idField]: params.id };
+    let document = await this.model.findOne({ where: this._writeWhere(where) });
+    const ifMatch = this._checkIfMatch(document, context);
+
+    if (!document) {
+        throw new NotFoundError();
+    }
+
+    try {
+        await this._delete([document], undefined, ifMatch);
+    } catch (err) {
+        throw ifMatch ? toPreconditionError(err) : err;
+    }
+    return createResult(200, { message: 'Document deleted' });
+};
+
+/**
+ * Delete documents matching filter
+ */
+SequelizeService.prototype.deleteByFilter = async function (params, context) {
+    const { Op } = require('sequelize');
+    let filter = this._writeWhere(parseSQLFilter.FilterParse(params.filter, Op, { model: this.model }));
+    const softDelete = this._softDelete();
+    // A flag inside a JSON column cannot be set by a single UPDATE portably, those rows take the regular path
+    if (this._flag(params, 'fast') && (this.options.permanentDelete || !softDelete || softDelete.mode !== 'json')) {
+        return this._deleteMany(filter || {}, params);
+    }
+
+    const count = await this._transaction(this._flag(params, 'atomic'), async (transaction) => {
+        let documents = await this.model.findAll({ where: filter, transaction: transaction });
+        await this._delete(documents, transaction);
+        return documents.length;
+    });
+
+    return createResult(200, { message: 'Documents deleted', count: count });
+};
+
+/**
+ * Clear the deleted flag of soft deleted documents
+ */
+SequelizeService.prototype._restore = async function (documents) {
+    for (const curr of documents) {
+        await this._setDeleted(curr, false);
+    }
+};
+
+/**
+ * Restore a soft deleted document by ID
+ */
+SequelizeService.prototype.restoreById = async function (params, context) {
+    const options = this._readOptions({ [this.options.idField]: params.id }, { onlyDeleted: true });
+    let document = await this.model.findOne(options);
+
+    if (!document) {
+        throw new NotFoundError('Deleted document not found');
+    }
+
+    await this._restore([document]);
+    return createResult(200, document);
+};
+
+/**
+ * Restore soft deleted documents matching filter
+ */
+SequelizeService.prototype.restoreByFilter = async function (params, context) {
+    const { Op } = require('sequelize');
+    let filter = parseSQLFilter.FilterParse(params.filter, Op, { model: this.model });
+
+    let documents = await this.model.findAll(this._readOptions(filter, { onlyDeleted: true }));
+    await this._restore(documents);
+
+    return createResult(200, { message: 'Documents restored', count: documents.length });
+};
+
+/**
+ * Permanently remove soft deleted documents, optionally narrowed by a filter
+ */
+SequelizeService.prototype.purge = async function (params, context) {
+    const { Op } = require('sequelize');
+    let filter = parseSQLFilter.FilterParse(params.filter, Op, { model: this.model });
+
+    let documents = await this.model.findAll(this._readOptions(filter, { onlyDeleted: true }));
+    for (const curr of documents) {
+        await curr.destroy({ force: true });
+    }
+
+    return createResult(200, { message: 'Documents purged', count: documents.length });
+};
+
+/**
+ * Bulk show documents by IDs
+ */
+SequelizeService.prototype.bulkShowByIds = async function (params, context) {
+    const { Op } = require('sequelize');
+    let ids = params.ids;
+    let select = params.select;
+    let sort = params.sort;
+
+    const options = this._readOptions({
+        [this.options.idField]: { [Op.in]: ids }
+    }, params);
+
+    // Attributes (field selection)
+    if (select && select.length > 0) {
+        options.attributes = this._attributes(select);
+    }
+
+    // Order (sorting)
+    if (sort) {
+        options.order = this._order(sort);
+    }
+
+    const docs = this._project(await this.model.findAll(options), select);
+    return createResult(200, docs);
+};
+
+/**
+ * Bulk update documents by IDs
+ */
+SequelizeService.prototype.bulkUpdateByIds = function (params, context) {
+    return this._idempotent('bulkUpdateByIds', params, context, () => this._bulkUpdateByIds(params, context));
+};
+
+SequelizeService.prototype._bulkUpdateByIds = async function (params, context) {
+    const { Op } = require('sequelize');
+    let ids = params.ids;
+    let data = readUpdateBody(params.data, context.headers);
+    let upsert = params.upsert;
+    // Rejects malformed update operators before anything is loaded
+    isOperatorUpdate(data);
+    let atomic = this._flag(params, 'atomic');
+
+    const where = {
+        [this.options.idField]: { [Op.in]: ids }
+    };
+
+    const results = await this._transaction(atomic, async (transaction) => {
+        let documents = await this.model.findAll({ where: this._writeWhere(where), transaction });
+        const results = [];
+
+        for (const [index, id] of ids.entries()) {
+            let curr = documents.find(doc => String(doc.get(this.options.idField)) === String(id));
+            try {
+                if (curr) {
+                    results.push({ index: index, id: id, status: 200, data: await this._applyUpdate(curr, data, transaction) });
+                } else if (upsert) {
+                    // Upsert: create the missing document with the requested id
+                    const newDocument = await this.model.create({ ...this._upsertValues(data), [this.options.idField]: id }, { transaction });
+                    results.push({ index: index, id: id, status: 200, data: newDocument });
+                } else {
+                    throw new NotFoundError();
+                }
+            } catch (err) {
+                results.push({ index: index, id: id, status: classifyError(err, this.options.mapError).status, error: err });
+                if (atomic) {
+                    break;
+                }
+            }
+        }
+        return results;
+    });
+
+    if (atomic && results.some(result => result.error)) {
+        return createRollbackResult(results, ids.length, this.options);
+    }
+    return createBulkResult(results, true);
+};
+
+/**
+ * Bulk delete documents by IDs
+ */
+SequelizeService.prototype.bulkDeleteByIds = function (params, context) {
+    return this._idempotent('bulkDeleteByIds', params, context, () => this._bulkDeleteByIds(params, context));
+};
+
+SequelizeService.prototype._bulkDeleteByIds = async function (params, context) {
+    const { Op } = require('sequelize');
+    const where = {
+        [this.options.idField]: { [Op.in]: params.ids }
+    };
+
+    const count = await this._transaction(this._flag(params, 'atomic'), async (transaction) => {
+        let documents = await this.model.findAll({ where: this._writeWhere(where), transaction });
+        await this._delete(documents, transaction);
+        return documents.length;
+    });
+
+    return createResult(200, { message: 'Documents deleted', count: count });
+};
+
+module.exports = SequelizeService;
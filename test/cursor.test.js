@@ -0,0 +1,100 @@
+/**
+ * Test examples for keyset (cursor) pagination filters
+ * Run with: node test/cursor.test.js
+ */
+
+const { createCursorPage, createKeysetFilter, createCursorBody } = require('../utils/cursor.utils');
+
+const ops = { gt: '$gt', lt: '$lt', ne: '$ne', or: '$or' };
+const docs = [
+    { id: 1, name: 'a', age: 30 },
+    { id: 2, name: 'b', age: null },
+    { id: 3, name: 'c', age: 20 },
+    { id: 4, name: 'd' }
+];
+
+// Order and match documents like a database that sorts nulls first (nullsFirst) or last
+function compare(a, b, nullsFirst) {
+    a = a === undefined ? null : a;
+    b = b === undefined ? null : b;
+    if (a === b) {
+        return 0;
+    }
+    if (a === null || b === null) {
+        return (a === null) === nullsFirst ? -1 : 1;
+    }
+    return a < b ? -1 : 1;
+}
+
+function matches(doc, filter) {
+    return Object.keys(filter).every(key => {
+        let condition = filter[key];
+        if (key === '$or') {
+            return condition.some(sub => matches(doc, sub));
+        }
+        let value = doc[key] === undefined ? null : doc[key];
+        if (condition === null || typeof condition !== 'object') {
+            return value === condition;
+        }
+        if ('$ne' in condition) {
+            return value !== condition.$ne;
+        }
+        // A comparison never matches null
+        if (value === null) {
+            return false;
+        }
+        return '$gt' in condition ? value > condition.$gt : value < condition.$lt;
+    });
+}
+
+function walk(sort, nullsFirst) {
+    let names = [];
+    let cursor = '';
+    let pages = 0;
+    while (cursor !== null && pages++ < 10) {
+        let page = createCursorPage({ cursor: cursor, limit: 1, sort: sort }, { idField: 'id' });
+        let keyset = createKeysetFilter(page, ops, nullsFirst);
+        let found = docs.filter(doc => !keyset || matches(doc, keyset)).sort((a, b) => {
+            for (const [field, dir] of page.querySort) {
+                let result = compare(a[field], b[field], nullsFirst) * dir;
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        });
+        let body = createCursorBody(page, found.slice(0, page.limit + 1));
+        names.push(body.data.map(doc => doc.name).join());
+        cursor = body.nextCursor;
+    }
+    return names.join(' ');
+}
+
+console.log('=== Cursor Pagination Tests ===\n');
+
+// Test 1: Keyset filter
+console.log('Test 1: Documents after (age 30, id 1)');
+console.log('Output:', JSON.stringify(createKeysetFilter({ querySort: [['age', 1], ['id', 1]], values: [30, 1] }, ops, true)));
+console.log('Expected: {"$or":[{"age":{"$gt":30}},{"age":30,"id":{"$gt":1}}]}\n');
+
+// Test 2: Null cursor value with nulls first
+console.log('Test 2: After a null age, where nulls sort first');
+console.log('Output:', JSON.stringify(createKeysetFilter({ querySort: [['age', 1], ['id', 1]], values: [null, 2] }, ops, true)));
+console.log('Expected: {"$or":[{"age":{"$ne":null}},{"age":null,"id":{"$gt":2}}]}\n');
+
+// Test 3: Null cursor value with nulls last
+console.log('Test 3: After a null age, where nulls sort last');
+console.log('Output:', JSON.stringify(createKeysetFilter({ querySort: [['age', 1], ['id', 1]], values: [null, 2] }, ops, false)));
+console.log('Expected: {"$or":[{"age":null,"$or":[{"id":{"$gt":2}},{"id":null}]}]}\n');
+
+// Test 4: Non null cursor value with nulls last
+console.log('Test 4: After age 30, where nulls sort last');
+console.log('Output:', JSON.stringify(createKeysetFilter({ querySort: [['age', 1], ['id', 1]], values: [30, 1] }, ops, false)));
+console.log('Expected: {"$or":[{"$or":[{"age":{"$gt":30}},{"age":null}]},{"age":30,"$or":[{"id":{"$gt":1}},{"id":null}]}]}\n');
+
+// Test 5: Every document is reached one page at a time, whatever the null order
+console.log('Test 5: Walk a nullable sort field with limit=1');
+console.log('Output:', walk({ age: 1 }, true), '|', walk({ age: -1 }, true), '|', walk({ age: 1 }, false), '|', walk({ age: -1 }, false));
+console.log('Expected: b d c a | a c b d | c a b d | b d a c\n');
+
+console.log('=== All tests complete ===');
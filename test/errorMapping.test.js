@@ -0,0 +1,70 @@
+/**
+ * Test examples for error classification and problem+json bodies
+ * Run with: node test/errorMapping.test.js
+ */
+
+const { createProblem, BadRequestError, NotFoundError } = require('../utils/error.utils');
+
+console.log('=== Error Mapping Tests ===\n');
+
+function createError(name, message, props) {
+    let err = new Error(message);
+    err.name = name;
+    return Object.assign(err, props || {});
+}
+
+function display(testName, err, expected, mapError) {
+    console.log(testName);
+    console.log('Input:', err.name, err.message);
+    console.log('Output:', createProblem(err, mapError, '/users'));
+    console.log(`Expected: ${expected}\n`);
+}
+
+// Test 1: Typed crudder errors keep their status
+display('Test 1: BadRequestError', new BadRequestError('Parameter "limit" must be an integer'), 'status 400, title Bad Request');
+display('Test 2: NotFoundError', new NotFoundError(), 'status 404, title Not Found');
+
+// Test 3: Mongoose errors
+display('Test 3: Mongoose ValidationError',
+    createError('ValidationError', 'User validation failed: name: Path `name` is required.', {
+        errors: { name: { message: 'Path `name` is required.', kind: 'required', value: undefined } }
+    }),
+    'status 422 with errors [{ path: "name", kind: "required" }]');
+display('Test 4: Mongoose CastError', createError('CastError', 'Cast to ObjectId failed for value "abc"'), 'status 400');
+display('Test 5: MongoDB duplicate key',
+    createError('MongoServerError', 'E11000 duplicate key error', { code: 11000, keyValue: { email: 'a@x.com' } }),
+    'status 409 with keyValue { email: "a@x.com" }');
+
+// Test 6: Sequelize errors
+display('Test 6: Sequelize UniqueConstraintError',
+    createError('SequelizeUniqueConstraintError', 'Validation error', {
+        errors: [{ path: 'email', message: 'email must be unique', validatorKey: 'not_unique', value: 'a@x.com' }]
+    }),
+    'status 409 with errors [{ path: "email", kind: "not_unique" }]');
+display('Test 7: Sequelize ValidationError', createError('SequelizeValidationError', 'notNull Violation: User.name cannot be null'), 'status 422');
+display('Test 8: PostgreSQL invalid input',
+    createError('SequelizeDatabaseError', 'invalid input syntax for type integer: "abc"', { parent: { code: '22P02' } }),
+    'status 400');
+
+// Test 9: Filter parsing errors
+const { parseSQLFilter } = require('../utils/filter.utils');
+try {
+    parseSQLFilter.FilterParse({ age: { $foo: 1 } }, { eq: 'eq' });
+} catch (err) {
+    display('Test 9: Unsupported operator', err, 'status 400');
+}
+
+// Test 10: Unexpected errors
+display('Test 10: Unknown error', new Error('Connection lost'), 'status 500, title Internal Server Error');
+
+// Test 11: Custom mapping
+display('Test 11: Custom mapping',
+    createError('SequelizeUniqueConstraintError', 'Validation error'),
+    'status 422, type https://example.com/problems/duplicate, title Duplicate user',
+    err => err.name === 'SequelizeUniqueConstraintError' ? { status: 422, type: 'https://example.com/problems/duplicate', title: 'Duplicate user' } : null);
+display('Test 12: Custom mapping falls back',
+    new Error('Connection lost'),
+    'status 503',
+    err => /Connection/.test(err.message) ? 503 : null);
+
+console.log('=== All tests complete ===');
@@ -0,0 +1,49 @@
+/**
+ * Test examples for NDJSON and CSV export streams
+ * Run with: node test/export.test.js
+ */
+
+const { flattenObject, createExportStream } = require('../utils/export.utils');
+
+const docs = [
+    { id: 1, name: 'John', metadata: { city: 'NYC', tags: ['a', 'b'] } },
+    { id: 2, name: 'Smith, "Jr"', metadata: { city: 'LA' } }
+];
+
+async function collect(stream) {
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk;
+    }
+    return text;
+}
+
+async function run() {
+    console.log('=== Export Stream Tests ===\n');
+
+    // Test 1: Flatten nested fields
+    console.log('Test 1: Flatten nested fields');
+    console.log('Output:', flattenObject(docs[0]));
+    console.log('Expected: { id: 1, name: "John", "metadata.city": "NYC", "metadata.tags": ["a", "b"] }\n');
+
+    // Test 2: NDJSON
+    console.log('Test 2: NDJSON export');
+    let ndjson = createExportStream(docs, 'ndjson');
+    console.log('Headers:', ndjson.headers);
+    console.log(await collect(ndjson.stream));
+    console.log('Expected: one JSON document per line\n');
+
+    // Test 3: CSV with all columns
+    console.log('Test 3: CSV export with columns from the first document');
+    console.log(await collect(createExportStream(docs, 'csv').stream));
+    console.log('Expected: header id,name,metadata.city,metadata.tags and quoted "Smith, ""Jr"""\n');
+
+    // Test 4: CSV with selected fields
+    console.log('Test 4: CSV export with select ["name", "metadata"]');
+    console.log(await collect(createExportStream(docs, 'csv', ['name', 'metadata']).stream));
+    console.log('Expected: header name,metadata.city,metadata.tags\n');
+
+    console.log('=== All tests complete ===');
+}
+
+run();
@@ -0,0 +1,68 @@
+/**
+ * Test examples for Idempotency-Key handling
+ * Run with: node test/idempotency.test.js
+ */
+
+const { MemoryIdempotencyStore, fingerprintRequest, createStoreKey, runIdempotent } = require('../utils/idempotency.utils');
+
+const store = new MemoryIdempotencyStore();
+let created = 0;
+
+function create(params, key) {
+    const context = { headers: key ? { 'idempotency-key': key } : {} };
+    return runIdempotent(store, 'User', 'create', params, context, async () => {
+        created++;
+        return { status: 200, body: Object.assign({ id: created }, params.data), headers: {} };
+    }).catch(err => ({ status: err.statusCode, body: err.message, headers: {} }));
+}
+
+(async () => {
+    console.log('=== Idempotency-Key Tests ===\n');
+
+    // Test 1: Replay
+    console.log('Test 1: A retry with the same key and body replays the first result');
+    const first = await create({ data: { name: 'John', age: 30 } }, 'k1');
+    const retry = await create({ data: { age: 30, name: 'John' } }, 'k1');
+    console.log('Output:', first.body.id, retry.status, retry.body.id, retry.headers['Idempotent-Replayed'], created);
+    console.log('Expected: 1 200 1 true 1\n');
+
+    // Test 2: Different body
+    console.log('Test 2: The same key with a different body');
+    const other = await create({ data: { name: 'Jane' } }, 'k1');
+    console.log('Output:', other.status, other.body);
+    console.log('Expected: 422 Idempotency-Key was already used with a different request\n');
+
+    // Test 3: Request still running
+    console.log('Test 3: A retry while the first request is running');
+    await store.acquire(createStoreKey('User', 'k2'), fingerprintRequest('create', { data: { name: 'Jane' } }), new Date(Date.now() + 60000));
+    const running = await create({ data: { name: 'Jane' } }, 'k2');
+    console.log('Output:', running.status);
+    console.log('Expected: 409\n');
+
+    // Test 4: Thrown errors are not stored
+    console.log('Test 4: A failed run releases the key');
+    const context = { headers: { 'idempotency-key': 'k3' } };
+    await runIdempotent(store, 'User', 'create', {}, context, async () => {
+        throw new Error('connection lost');
+    }).catch(() => null);
+    const again = await create({}, 'k3');
+    console.log('Output:', again.status, again.headers['Idempotent-Replayed']);
+    console.log('Expected: 200 undefined\n');
+
+    // Test 5: No key
+    console.log('Test 5: Requests without the header always run');
+    const before = created;
+    await create({ data: { name: 'John' } });
+    await create({ data: { name: 'John' } });
+    console.log('Output:', created - before);
+    console.log('Expected: 2\n');
+
+    // Test 6: Long keys
+    console.log('Test 6: Keys of 255 characters that differ in the last one');
+    const long = await create({ data: { name: 'John' } }, 'x'.repeat(254) + 'a');
+    const other255 = await create({ data: { name: 'Jane' } }, 'x'.repeat(254) + 'b');
+    console.log('Output:', long.status, other255.status, other255.headers['Idempotent-Replayed']);
+    console.log('Expected: 200 200 undefined\n');
+
+    console.log('=== All tests complete ===');
+})();
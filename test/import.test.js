@@ -0,0 +1,45 @@
+/**
+ * Test examples for parsing CSV and NDJSON uploads
+ * Run with: node test/import.test.js
+ */
+
+const { readImportRows } = require('../utils/import.utils');
+
+async function collect(rows) {
+    const result = [];
+    for await (const row of rows) {
+        result.push(row);
+    }
+    return result;
+}
+
+async function run() {
+    console.log('=== Import Parsing Tests ===\n');
+
+    // Test 1: CSV with quoted fields
+    console.log('Test 1: CSV with quoted fields');
+    const csv = 'name,age,note\r\n"Doe, John",30,"He said ""hi"""\n"Multi\nLine",5,\n';
+    console.log(JSON.stringify(await collect(readImportRows(csv, 'csv'))));
+    console.log('Expected: rows 1 and 2, "Doe, John", He said "hi", a line break in row 2 and no note\n');
+
+    // Test 2: CSV with mapping
+    console.log('Test 2: CSV with mapping');
+    const mapping = { full_name: 'name', city: 'metadata.city', internal: null };
+    console.log(JSON.stringify(await collect(readImportRows('full_name,city,internal\nJane,LA,x\n', 'csv', mapping))));
+    console.log('Expected: { name: "Jane", metadata: { city: "LA" } }\n');
+
+    // Test 3: CSV with a wrong column count
+    console.log('Test 3: CSV with a wrong column count');
+    console.log(JSON.stringify(await collect(readImportRows('name,age\nJane\n', 'csv'))));
+    console.log('Expected: row 1 with error "Expected 2 columns but found 1"\n');
+
+    // Test 4: NDJSON with a blank and an invalid line
+    console.log('Test 4: NDJSON with a blank and an invalid line');
+    const ndjson = Buffer.from('{"name":"A"}\n\n{bad\n{"name":"B"}');
+    console.log(JSON.stringify(await collect(readImportRows(ndjson, 'ndjson'))));
+    console.log('Expected: rows 1 and 4 parsed, row 3 with an Invalid JSON error\n');
+
+    console.log('=== All tests complete ===');
+}
+
+run();
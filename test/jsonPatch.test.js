@@ -0,0 +1,71 @@
+/**
+ * Test examples for JSON Patch (RFC 6902) updates
+ * Run with: node test/jsonPatch.test.js
+ */
+
+const { readJsonPatch, readUpdateBody, applyJsonPatch } = require('../utils/patch.utils');
+
+const doc = { name: 'John', tags: ['a', 'b'], metadata: { city: 'NYC', 'a/b': 1 } };
+const headers = { 'content-type': 'application/json-patch+json' };
+
+function attempt(patch) {
+    try {
+        return applyJsonPatch(doc, patch);
+    } catch (err) {
+        return `${err.statusCode} ${err.message}`;
+    }
+}
+
+console.log('=== JSON Patch Tests ===\n');
+
+// Test 1: Content type detection
+console.log('Test 1: Only application/json-patch+json bodies are patches');
+console.log('Output:', readJsonPatch([], { 'content-type': 'application/json' }), readJsonPatch('[]', headers));
+console.log('Expected: null []\n');
+
+// Test 2: Every operation
+console.log('Test 2: add, remove, replace, move, copy and test');
+console.log('Output:', JSON.stringify(attempt([
+    { op: 'test', path: '/name', value: 'John' },
+    { op: 'add', path: '/tags/-', value: 'c' },
+    { op: 'remove', path: '/tags/0' },
+    { op: 'replace', path: '/name', value: 'Jane' },
+    { op: 'move', from: '/metadata/city', path: '/city' },
+    { op: 'copy', from: '/metadata/a~1b', path: '/count' }
+])));
+console.log('Expected: {"name":"Jane","tags":["b","c"],"metadata":{"a/b":1},"city":"NYC","count":1}\n');
+
+// Test 3: The input is not changed
+console.log('Test 3: The original document is left as it was');
+console.log('Output:', JSON.stringify(doc));
+console.log('Expected: {"name":"John","tags":["a","b"],"metadata":{"city":"NYC","a/b":1}}\n');
+
+// Test 4: Failed test operation
+console.log('Test 4: A failing test operation is a conflict');
+console.log('Output:', attempt([{ op: 'test', path: '/name', value: 'Jane' }]));
+console.log('Expected: 409 JSON Patch test failed at "/name"\n');
+
+// Test 5: Invalid paths
+console.log('Test 5: Missing paths and array indexes out of range');
+console.log('Output:', attempt([{ op: 'remove', path: '/metadata/zip' }]), '|', attempt([{ op: 'add', path: '/tags/5', value: 'x' }]));
+console.log('Expected: 422 Path "/metadata/zip" does not exist | 422 Path "/tags/5" is not a valid array index\n');
+
+// Test 6: Malformed patch
+console.log('Test 6: Malformed operations');
+try {
+    readJsonPatch([{ op: 'replace', path: '/name' }], headers);
+} catch (err) {
+    console.log('Output:', err.statusCode, err.message);
+}
+console.log('Expected: 400 Patch operation 0 is missing "value"\n');
+
+// Test 7: Arrays without the JSON Patch content type
+console.log('Test 7: An array is only an update when it is sent as a JSON Patch');
+try {
+    readUpdateBody([{ op: 'move', path: '/name' }], { 'content-type': 'application/json' });
+} catch (err) {
+    console.log('Output:', err.statusCode, err.message, JSON.stringify(readUpdateBody({ name: 'X' }, {})));
+}
+console.log('Expected: 400 An array body is only accepted as a JSON Patch sent as application/json-patch+json {"name":"X"}\n');
+
+console.log('=== All tests complete ===');
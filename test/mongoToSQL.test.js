@@ -3,7 +3,7 @@
  * Run with: node utils/mongoToSQL.test.js
  */
 
-const { convertMongoFilterToSQL } = require('../utils/mongoToSQL.utils');
+const { convertMongoFilterToSQL, buildSelectSQL } = require('../utils/mongoToSQL.utils');
 
 console.log('=== MongoDB to SQL Filter Converter Tests ===\n');
 
@@ -115,4 +115,102 @@ console.log('Input:', JSON.stringify(test11));
 console.log('Output:', result11);
 console.log('Expected: empty whereClause and empty parameters\n');
 
+// Test 12: PostgreSQL placeholders and quoting
+console.log('Test 12: PostgreSQL placeholders and quoting');
+const test12 = { age: { $gte: 18 }, 'public.users.status': { $in: ['active', 'pending'] } };
+const result12 = convertMongoFilterToSQL(test12, { dialect: 'postgres' });
+console.log('Input:', JSON.stringify(test12));
+console.log('Output:', result12);
+console.log('Expected: "age" >= $1 AND "public"."users"."status" IN ($2, $3) with parameters [18, "active", "pending"]\n');
+
+// Test 13: Oracle and MSSQL placeholders
+console.log('Test 13: Oracle and MSSQL placeholders');
+const test13 = { name: 'John', age: 25 };
+console.log('Input:', JSON.stringify(test13));
+console.log('Output:', convertMongoFilterToSQL(test13, { dialect: 'oracle' }).whereClause, '|', convertMongoFilterToSQL(test13, { dialect: 'mssql' }).whereClause);
+console.log('Expected: "name" = :1 AND "age" = :2 | [name] = @p1 AND [age] = @p2\n');
+
+// Test 14: JSON column paths
+console.log('Test 14: JSON column paths');
+const test14 = { 'metadata.address.city': 'Pune', 'metadata.score': { $gt: 5 } };
+console.log('Input:', JSON.stringify(test14));
+console.log('Output:', convertMongoFilterToSQL(test14, { dialect: 'postgres', jsonColumns: ['metadata'] }).whereClause);
+console.log('Output:', convertMongoFilterToSQL(test14, { dialect: 'mysql', jsonColumns: ['metadata'] }).whereClause);
+console.log('Expected: "metadata"->\'address\'->>\'city\' = $1 AND ("metadata"->>\'score\')::numeric > $2');
+console.log('Expected: JSON_UNQUOTE(JSON_EXTRACT(`metadata`, \'$.address.city\')) = ? AND JSON_UNQUOTE(JSON_EXTRACT(`metadata`, \'$.score\')) > ?\n');
+
+// Test 15: Invalid field names
+console.log('Test 15: Invalid field names are rejected');
+const test15 = { 'name = name OR 1': 1 };
+try {
+    convertMongoFilterToSQL(test15, { dialect: 'mysql' });
+} catch (err) {
+    console.log('Input:', JSON.stringify(test15));
+    console.log('Output:', err.statusCode, err.message);
+}
+console.log('Expected: 400 Invalid field name: name = name OR 1\n');
+
+// Test 16: SELECT statement with paging and counts
+console.log('Test 16: buildSelectSQL with sort, paging and counts');
+const result16 = buildSelectSQL({
+    table: 'users',
+    filter: { age: { $gte: 18 } },
+    select: ['name', 'age'],
+    sort: { age: -1 },
+    skip: 20,
+    limit: 10,
+    count: true,
+    dialect: 'postgres'
+});
+console.log('Output:', result16);
+console.log('Expected: SELECT "name", "age" FROM "users" WHERE "age" >= $1 ORDER BY "age" DESC LIMIT 10 OFFSET 20 with parameters [18]');
+console.log('Expected: countSQL SELECT COUNT(*) AS "count" FROM "users" WHERE "age" >= $1 and totalCountSQL without WHERE\n');
+
+// Test 17: OFFSET ... FETCH NEXT paging
+console.log('Test 17: buildSelectSQL paging on Oracle and MSSQL');
+console.log('Output:', buildSelectSQL({ table: 'users', sort: { name: 1 }, skip: 20, limit: 10, dialect: 'oracle' }).sql);
+console.log('Output:', buildSelectSQL({ table: 'users', limit: 10, dialect: 'mssql' }).sql);
+console.log('Expected: SELECT * FROM "users" ORDER BY "name" ASC OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY');
+console.log('Expected: SELECT * FROM [users] ORDER BY (SELECT NULL) OFFSET 0 ROWS FETCH NEXT 10 ROWS ONLY\n');
+
+// Test 18: $exists, $all and $size
+console.log('Test 18: $exists, $all and $size');
+const test18 = { email: { $exists: true }, tags: { $all: ['a', 'b'] }, 'metadata.tags': { $size: 2 } };
+console.log('Input:', JSON.stringify(test18));
+console.log('Output:', convertMongoFilterToSQL(test18, { dialect: 'postgres', jsonColumns: ['metadata'] }));
+console.log('Output:', convertMongoFilterToSQL(test18, { dialect: 'mysql', jsonColumns: ['metadata'] }).whereClause);
+console.log('Expected: "email" IS NOT NULL AND "tags" @> $1 AND jsonb_array_length(("metadata"->\'tags\')::jsonb) = $2 with parameters [["a", "b"], 2]');
+console.log('Expected: `email` IS NOT NULL AND JSON_CONTAINS(`tags`, ?) AND JSON_LENGTH(JSON_EXTRACT(`metadata`, \'$.tags\')) = ?\n');
+
+// Test 19: $elemMatch and $type
+console.log('Test 19: $elemMatch and $type on JSON columns');
+const test19 = { items: { $elemMatch: { product: 'abc', qty: { $gt: 5 } } }, metadata: { $type: 'object' } };
+console.log('Input:', JSON.stringify(test19));
+console.log('Output:', convertMongoFilterToSQL(test19, { dialect: 'postgres', jsonColumns: ['items', 'metadata'] }).whereClause);
+console.log('Expected: EXISTS (SELECT 1 FROM jsonb_array_elements(("items")::jsonb) AS elem WHERE elem #>> \'{product}\' = $1 AND (elem #>> \'{qty}\')::numeric > $2) AND jsonb_typeof(("metadata")::jsonb) IN (\'object\')\n');
+
+// Test 20: null and JSON booleans
+console.log('Test 20: null and JSON booleans');
+const test20 = { deletedAt: null, 'metadata.vip': true, 'metadata.tier': { $ne: null } };
+console.log('Input:', JSON.stringify(test20));
+console.log('Output:', convertMongoFilterToSQL(test20, { dialect: 'mysql', jsonColumns: ['metadata'] }));
+console.log('Expected: `deletedAt` IS NULL AND IF(JSON_TYPE(JSON_EXTRACT(`metadata`, \'$.vip\')) = \'BOOLEAN\', JSON_EXTRACT(`metadata`, \'$.vip\') = CAST(\'true\' AS JSON), NULL) = ? AND JSON_UNQUOTE(JSON_EXTRACT(`metadata`, \'$.tier\')) IS NOT NULL with parameters [true]\n');
+
+// Test 21: Regular expressions
+console.log('Test 21: $regex per dialect');
+const test21 = { name: { $regex: '^jo(hn|e)$', $options: 'i' }, code: /^50%_/, city: { $regex: 'pune', $options: 'i' } };
+console.log('Input:', { name: test21.name, code: test21.code, city: test21.city });
+console.log('Output:', convertMongoFilterToSQL(test21, { dialect: 'postgres' }));
+console.log('Output:', convertMongoFilterToSQL(test21, { dialect: 'mysql' }).whereClause);
+console.log('Output:', convertMongoFilterToSQL(test21, { dialect: 'oracle' }).whereClause);
+console.log('Expected: "name" ~* $1 AND "code" LIKE $2 AND "city" ILIKE $3 with parameters ["^jo(hn|e)$", "50\\%\\_%", "%pune%"]');
+console.log('Expected: `name` REGEXP CONCAT(\'(?i)\', ?) AND `code` LIKE ? AND LOWER(`city`) LIKE ?');
+console.log('Expected: REGEXP_LIKE("name", :1, \'i\') AND "code" LIKE :2 ESCAPE \'\\\' AND LOWER("city") LIKE :3');
+try {
+    convertMongoFilterToSQL({ name: { $regex: 'a|b' } }, { dialect: 'sqlite' });
+} catch (err) {
+    console.log('Output:', err.statusCode, err.message);
+}
+console.log('Expected: 400 Regular expressions are not supported by this SQL dialect, only literal patterns\n');
+
 console.log('=== All tests complete ===');
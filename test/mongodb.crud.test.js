@@ -26,6 +26,7 @@ function createMockResponse() {
     const res = {
         statusCode: 200,
         data: null,
+        headers: {},
         status: function (code) {
             this.statusCode = code;
             return this;
@@ -33,6 +34,10 @@ function createMockResponse() {
         json: function (data) {
             this.data = data;
             return this;
+        },
+        set: function (headers) {
+            Object.assign(this.headers, headers);
+            return this;
         }
     };
     return res;
@@ -132,7 +137,7 @@ async function testBulkCreate() {
 
     await crudder.create(req, res);
 
-    if (res.statusCode === 200 && Array.isArray(res.data) && res.data.length === 3) {
+    if (res.statusCode === 200 && res.data.summary.succeeded === 3 && res.data.results.length === 3) {
         console.log('  ✅ Bulk create successful');
         return true;
     } else {
@@ -238,6 +243,101 @@ async function testUpdateById() {
     }
 }
 
+async function testUpdateOperators() {
+    console.log('📝 Test: updateById() - update operators');
+
+    const age = (await User.findById('user1')).age;
+    const req = createMockRequest({
+        params: { id: 'user1' },
+        body: { $inc: { age: 1 }, $unset: { status: '' } }
+    });
+    const res = createMockResponse();
+
+    await crudder.updateById(req, res);
+
+    if (res.statusCode === 200 && res.data.age === age + 1 && !res.data.status) {
+        console.log('  ✅ $inc and $unset applied');
+        return true;
+    } else {
+        console.log('  ❌ Update operators failed');
+        return false;
+    }
+}
+
+async function testReplaceById() {
+    console.log('📝 Test: replaceById()');
+
+    const req = createMockRequest({
+        params: { id: 'user1' },
+        body: { name: 'John Doe', email: 'john@example.com', age: 30, metadata: { city: 'NYC' } }
+    });
+    const res = createMockResponse();
+
+    await crudder.replaceById(req, res);
+
+    if (res.statusCode === 200 && res.data.age === 30 && !res.data.status && !res.data.metadata.role) {
+        console.log('  ✅ ReplaceById dropped the fields missing from the body');
+        return true;
+    } else {
+        console.log('  ❌ ReplaceById failed');
+        return false;
+    }
+}
+
+async function testIfMatch() {
+    console.log('📝 Test: updateById() - If-Match');
+
+    const findRes = createMockResponse();
+    await crudder.findById(createMockRequest({ params: { id: 'user1' } }), findRes);
+    const etag = findRes.headers.ETag;
+
+    const send = async () => {
+        const req = createMockRequest({ params: { id: 'user1' }, body: { status: 'edited' } });
+        req.headers['if-match'] = etag;
+        const res = createMockResponse();
+        await crudder.updateById(req, res);
+        return res.statusCode;
+    };
+    const first = await send();
+    const second = await send();
+
+    if (etag && first === 200 && second === 412) {
+        console.log('  ✅ Stale If-Match rejected with 412');
+        return true;
+    } else {
+        console.log('  ❌ If-Match failed');
+        return false;
+    }
+}
+
+async function testConditionalGet() {
+    console.log('📝 Test: findById() and find() - If-None-Match');
+
+    const send = async (operation, data, etag) => {
+        const req = createMockRequest(data);
+        if (etag) {
+            req.headers['if-none-match'] = etag;
+        }
+        const res = createMockResponse();
+        await crudder[operation](req, res);
+        return res;
+    };
+    const doc = await send('findById', { params: { id: 'user1' } });
+    const docAgain = await send('findById', { params: { id: 'user1' } }, doc.headers.ETag);
+    // Collection headers are only computed for conditional requests
+    const plain = await send('find', { query: {} });
+    const list = await send('find', { query: {} }, 'W/"stale"');
+    const listAgain = await send('find', { query: {} }, list.headers.ETag);
+
+    if (docAgain.statusCode === 304 && !plain.headers.ETag && list.statusCode === 200 && listAgain.statusCode === 304 && list.headers['Last-Modified']) {
+        console.log('  ✅ Unchanged document and collection answered with 304');
+        return true;
+    } else {
+        console.log('  ❌ Conditional GET failed');
+        return false;
+    }
+}
+
 async function testUpdateByFilter() {
     console.log('📝 Test: updateByFilter()');
 
@@ -249,8 +349,8 @@ async function testUpdateByFilter() {
 
     await crudder.updateByFilter(req, res);
 
-    if (res.statusCode === 200 && Array.isArray(res.data)) {
-        console.log(`  ✅ UpdateByFilter successful, updated ${res.data.length} records`);
+    if (res.statusCode === 200 && res.data.summary.failed === 0) {
+        console.log(`  ✅ UpdateByFilter successful, updated ${res.data.summary.succeeded} records`);
         return true;
     } else {
         console.log('  ❌ UpdateByFilter failed');
@@ -258,6 +358,26 @@ async function testUpdateByFilter() {
     }
 }
 
+async function testFastUpdateByFilter() {
+    console.log('📝 Test: updateByFilter() - fast mode');
+
+    const req = createMockRequest({
+        query: { fast: 'true', filter: JSON.stringify({ age: { $gt: 1000 } }) },
+        body: { data: { status: 'ancient' } }
+    });
+    const res = createMockResponse();
+
+    await crudder.updateByFilter(req, res);
+
+    if (res.statusCode === 200 && res.data.matched === 0 && res.data.modified === 0) {
+        console.log('  ✅ Fast updateByFilter returned matched/modified counts');
+        return true;
+    } else {
+        console.log('  ❌ Fast updateByFilter failed');
+        return false;
+    }
+}
+
 async function testBulkShowByIds() {
     console.log('📝 Test: bulkShowByIds()');
 
@@ -296,6 +416,33 @@ async function testDeleteById() {
     }
 }
 
+async function testSoftDeleteAndRestore() {
+    console.log('📝 Test: soft deleted documents are hidden and can be restored');
+
+    let res = createMockResponse();
+    await crudder.findById(createMockRequest({ params: { id: 'user4' } }), res);
+    const hidden = res.statusCode === 404;
+
+    res = createMockResponse();
+    await crudder.find(createMockRequest({ query: { onlyDeleted: 'true' } }), res);
+    const listed = res.statusCode === 200 && res.data.length === 1 && res.data[0]._id === 'user4';
+
+    res = createMockResponse();
+    await crudder.restoreById(createMockRequest({ params: { id: 'user4' } }), res);
+    const restored = res.statusCode === 200;
+
+    res = createMockResponse();
+    await crudder.findById(createMockRequest({ params: { id: 'user4' } }), res);
+
+    if (hidden && listed && restored && res.statusCode === 200) {
+        console.log('  ✅ Soft delete and restore successful');
+        return true;
+    } else {
+        console.log('  ❌ Soft delete and restore failed');
+        return false;
+    }
+}
+
 async function testJSONFieldFilter() {
     console.log('📝 Test: JSON field filtering');
 
@@ -315,7 +462,67 @@ async function testJSONFieldFilter() {
     }
 }
 
+async function testCursorPagination() {
+    console.log('📝 Test: find() with cursor pagination');
+
+    const seen = [];
+    let cursor = '';
+    let pages = 0;
+    while (cursor !== null && pages < 10) {
+        const req = createMockRequest({
+            query: { cursor: cursor, limit: '2', sort: '-age' }
+        });
+        const res = createMockResponse();
+
+        await crudder.find(req, res);
+
+        if (res.statusCode !== 200 || !Array.isArray(res.data.data)) {
+            console.log('  ❌ Cursor pagination failed');
+            return false;
+        }
+        res.data.data.forEach(doc => seen.push(String(doc._id)));
+        cursor = res.data.nextCursor;
+        pages++;
+    }
+
+    const countRes = createMockResponse();
+    await crudder.count(createMockRequest(), countRes);
+
+    if (seen.length === countRes.data && new Set(seen).size === seen.length) {
+        console.log(`  ✅ Cursor pagination walked ${seen.length} records in ${pages} pages without duplicates`);
+        return true;
+    } else {
+        console.log(`  ❌ Cursor pagination returned ${seen.length} records, expected ${countRes.data}`);
+        return false;
+    }
+}
+
 // Run all tests
+async function testBulkInsert() {
+    console.log('📝 Test: create() - batched bulk insert');
+
+    const req = createMockRequest({
+        query: { bulkInsert: 'true', batchSize: '50' },
+        body: {
+            data: [
+                { _id: 'user10', name: 'Dan Green', email: 'dan@example.com', age: 45, status: 'active' },
+                { _id: 'user1', name: 'Duplicate Id', email: 'dup@example.com', age: 50, status: 'active' }
+            ]
+        }
+    });
+    const res = createMockResponse();
+
+    await crudder.create(req, res);
+
+    if (res.statusCode === 207 && res.data.results[0].status === 200 && res.data.results[1].status === 409) {
+        console.log('  ✅ Bulk insert reported the duplicate at its input index');
+        return true;
+    } else {
+        console.log('  ❌ Bulk insert failed');
+        return false;
+    }
+}
+
 async function runTests() {
     console.log('=== MongoDB CRUD API Tests ===\n');
 
@@ -334,10 +541,18 @@ async function runTests() {
         results.push(await testFindWithDefaultLimit());
         results.push(await testFindById());
         results.push(await testUpdateById());
+        results.push(await testUpdateOperators());
+        results.push(await testReplaceById());
+        results.push(await testIfMatch());
+        results.push(await testConditionalGet());
         results.push(await testUpdateByFilter());
+        results.push(await testFastUpdateByFilter());
         results.push(await testBulkShowByIds());
         results.push(await testJSONFieldFilter());
+        results.push(await testCursorPagination());
         results.push(await testDeleteById());
+        results.push(await testSoftDeleteAndRestore());
+        results.push(await testBulkInsert());
 
         const passed = results.filter(r => r === true).length;
         const total = results.length;
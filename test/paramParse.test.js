@@ -0,0 +1,66 @@
+/**
+ * Test examples for query string parameter parsing
+ * Run with: node test/paramParse.test.js
+ */
+
+const { parseParams } = require('../utils/param.utils');
+
+console.log('=== Query Parameter Parsing Tests ===\n');
+
+function createRequest(query) {
+    return { query: query, params: {}, body: {}, headers: {} };
+}
+
+function display(testName, query, expected) {
+    console.log(testName);
+    console.log('Input:', JSON.stringify(query));
+    try {
+        console.log('Output:', parseParams(createRequest(query)));
+    } catch (err) {
+        console.log('Error:', err.statusCode, err.message);
+    }
+    console.log(`Expected: ${expected}\n`);
+}
+
+// Test 1: JSON filter
+display('Test 1: JSON filter',
+    { filter: '{"age":{"$gt":30}}' },
+    'filter { age: { $gt: 30 } }');
+
+// Test 2: Paging
+display('Test 2: Paging',
+    { limit: '10', skip: '20' },
+    'limit 10 and skip 20 as numbers');
+
+// Test 3: Comma separated select
+display('Test 3: Comma separated select',
+    { select: 'name,email' },
+    'select ["name", "email"]');
+
+// Test 4: Sort expression
+display('Test 4: Sort expression',
+    { sort: '-age,name' },
+    'sort { age: -1, name: 1 }');
+
+// Test 5: JSON sort
+display('Test 5: JSON sort',
+    { sort: '{"age":1}' },
+    'sort { age: 1 }');
+
+// Test 6: Booleans
+display('Test 6: Booleans',
+    { metadata: 'true', lean: '0', upsert: 'false' },
+    'metadata true, lean false, upsert false');
+
+// Test 7: Ids as JSON array and as list
+display('Test 7: Ids as JSON array', { ids: '["a","b"]' }, 'ids ["a", "b"]');
+display('Test 8: Ids as list', { ids: 'a,b' }, 'ids ["a", "b"]');
+
+// Test 9: Malformed values
+display('Test 9: Malformed filter', { filter: '{age:30}' }, '400 Parameter "filter" is not valid JSON');
+display('Test 10: Array filter', { filter: '[1,2]' }, '400 Parameter "filter" must be a JSON object');
+display('Test 11: Malformed limit', { limit: 'ten' }, '400 Parameter "limit" must be an integer');
+display('Test 12: Negative skip', { skip: '-5' }, '400 Parameter "skip" must not be negative');
+display('Test 13: Malformed boolean', { metadata: 'yes' }, '400 Parameter "metadata" must be true or false');
+
+console.log('=== All tests complete ===');
@@ -0,0 +1,117 @@
+/**
+ * Test examples for the routes mounted by the Express router, the Fastify plugin and the Koa router
+ * Run with: node test/router.test.js (needs express, fastify, koa and @koa/router)
+ */
+
+const { ROUTES } = require('../utils/route.utils');
+const createRouter = require('../lib/express.router');
+const fastifyPlugin = require('../lib/fastify.plugin');
+const { createKoaRouter } = require('../lib/koa.router');
+
+// Answers every operation with its name and the id it was called with
+const crudder = {
+    execute: async (operation, req) => ({ status: 200, body: { operation: operation, id: req.params.id }, headers: {} })
+};
+ROUTES.forEach(route => {
+    crudder[route.operation] = (req, res) => res.status(200).json({ operation: route.operation, id: req.params.id });
+});
+
+const requests = [
+    ['PUT', '/users/a'],
+    ['PATCH', '/users/a'],
+    ['PUT', '/users/a/replace'],
+    ['POST', '/users/a/restore']
+];
+
+async function send(port, method, url) {
+    let response = await fetch(`http://localhost:${port}${url}`, {
+        method: method,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ name: 'A2' })
+    });
+    let body = await response.json();
+    return `${body.operation}(${body.id})`;
+}
+
+async function listen(app) {
+    let server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    return server;
+}
+
+async function run() {
+    console.log('=== Router Tests ===\n');
+    const expected = 'updateById(a) updateById(a) replaceById(a) restoreById(a)';
+
+    // Test 1: Express
+    console.log('Test 1: Express router');
+    const app = require('express')();
+    app.use('/users', createRouter(crudder));
+    let server = await listen(app);
+    let output = [];
+    for (const [method, url] of requests) {
+        output.push(await send(server.address().port, method, url));
+    }
+    server.close();
+    console.log('Output:', output.join(' '));
+    console.log(`Expected: ${expected}\n`);
+
+    // Test 2: Fastify
+    console.log('Test 2: Fastify plugin');
+    const fastify = require('fastify')();
+    fastify.register(fastifyPlugin, { prefix: '/users', crudder: crudder });
+    output = [];
+    for (const [method, url] of requests) {
+        let response = await fastify.inject({ method: method, url: url, payload: { name: 'A2' } });
+        output.push(`${response.json().operation}(${response.json().id})`);
+    }
+    await fastify.close();
+    console.log('Output:', output.join(' '));
+    console.log(`Expected: ${expected}\n`);
+
+    // Test 3: Koa
+    console.log('Test 3: Koa router');
+    const Koa = require('koa');
+    const koa = new Koa();
+    koa.use(createKoaRouter(crudder, { prefix: '/users' }).routes());
+    server = await listen(koa);
+    output = [];
+    for (const [method, url] of requests) {
+        output.push(await send(server.address().port, method, url));
+    }
+    server.close();
+    console.log('Output:', output.join(' '));
+    console.log(`Expected: ${expected}\n`);
+
+    // Test 4: Disabled operation
+    console.log('Test 4: disable removes the replace route');
+    const disabled = require('express')();
+    disabled.use('/users', createRouter(crudder, { disable: ['replaceById'] }));
+    server = await listen(disabled);
+    let response = await fetch(`http://localhost:${server.address().port}/users/a/replace`, { method: 'PUT' });
+    server.close();
+    console.log('Output:', response.status);
+    console.log('Expected: 404\n');
+
+    // Test 5: Request url, the instance of problem+json bodies
+    console.log('Test 5: Fastify and Koa pass the request url to execute');
+    const echo = { execute: async (operation, req) => ({ status: 200, body: { url: req.url }, headers: {} }) };
+    const echoFastify = require('fastify')();
+    echoFastify.register(fastifyPlugin, { prefix: '/users', crudder: echo });
+    let fastifyUrl = (await echoFastify.inject({ method: 'GET', url: '/users/a?select=name' })).json().url;
+    await echoFastify.close();
+    const echoKoa = new Koa();
+    echoKoa.use(createKoaRouter(echo, { prefix: '/users' }).routes());
+    server = await listen(echoKoa);
+    let koaUrl = (await (await fetch(`http://localhost:${server.address().port}/users/a?select=name`)).json()).url;
+    server.close();
+    console.log('Output:', fastifyUrl, koaUrl);
+    console.log('Expected: /users/a?select=name /users/a?select=name\n');
+
+    console.log('=== All tests complete ===');
+}
+
+run().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -18,6 +18,7 @@ const Op = {
     iLike: Symbol.for('iLike'),
     notILike: Symbol.for('notILike'),
     regexp: Symbol.for('regexp'),
+    iRegexp: Symbol.for('iRegexp'),
     notRegexp: Symbol.for('notRegexp'),
     between: Symbol.for('between'),
     notBetween: Symbol.for('notBetween'),
@@ -112,6 +113,39 @@ const test10 = { deletedAt: null };
 const result10 = parseSQLFilter.FilterParse(test10, Op);
 displayResult('Test 10: Null value', test10, result10);
 
+// Test 11: $exists
+const test11 = { email: { $exists: true }, nickname: { $exists: false } };
+const result11 = parseSQLFilter.FilterParse(test11, Op);
+displayResult('Test 11: $exists', test11, result11);
+
+// Test 12: Array operators need the model
+try {
+    parseSQLFilter.FilterParse({ tags: { $size: 2 } }, Op);
+} catch (err) {
+    console.log('Test 12: $size without the model');
+    console.log('Output:', err.statusCode, err.message);
+    console.log('');
+}
+
+// Test 13: Dotted fields inside JSON attributes
+const model = { rawAttributes: { name: { type: { key: 'STRING' } }, metadata: { type: { key: 'JSONB' } } } };
+console.log('Test 13: JSON paths of the model');
+console.log('Output:', JSON.stringify(['metadata.address.city', 'name.first', 'metadata'].map(field => parseSQLFilter.resolveJsonPath(field, model))));
+console.log('Expected: [{"attribute":"metadata","path":["address","city"]},null,null]');
+console.log('');
+
+// Test 14: $regex without the model
+const test14 = { name: { $regex: '^jo(hn|e)$', $options: 'i' }, code: { $regex: '50%' } };
+const result14 = parseSQLFilter.FilterParse(test14, Op);
+console.log('Test 14: $regex and $options');
+console.log('Input:', JSON.stringify(test14));
+console.log('Output:', [result14.name, result14.code].map(condition => {
+    const op = Reflect.ownKeys(condition)[0];
+    return `${String(op)} ${condition[op]}`;
+}).join(' | '));
+console.log('Expected: Symbol(iRegexp) ^jo(hn|e)$ | Symbol(like) %50\\%%');
+console.log('');
+
 console.log('=== Real Sequelize Example ===\n');
 console.log('If you have Sequelize installed, you can use it like this:\n');
 console.log('const { Op } = require(\'sequelize\');');
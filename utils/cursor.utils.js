@@ -0,0 +1,183 @@
+'use strict';
+
+const _ = require('lodash');
+const { BadRequestError } = require('./error.utils');
+
+/**
+ * Keyset (cursor) pagination helpers shared by both adapters.
+ * A cursor is an opaque base64url token holding the sort fields, the sort key
+ * values of the boundary document and the direction to continue in.
+ */
+
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        let payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || !Array.isArray(payload.f) || !Array.isArray(payload.v) || payload.f.length !== payload.v.length) {
+            throw new Error('Malformed cursor');
+        }
+        return payload;
+    } catch (err) {
+        throw new BadRequestError('Parameter "cursor" is not a valid cursor');
+    }
+}
+
+/**
+ * Normalize a sort object into [field, 1|-1] entries ending with the id field,
+ * so the ordering is total and every document has a unique position
+ *
+ * @param {Object} sort - Sort object like { age: -1, name: 'asc' }
+ * @param {string} idField - The unique id field
+ * @returns {Array<Array>} The sort entries
+ */
+function toSortEntries(sort, idField) {
+    let entries = Object.entries(sort || {}).map(([field, dir]) => {
+        let direction = (dir === 1 || dir === '1' || String(dir).toLowerCase() === 'asc') ? 1 : -1;
+        return [field, direction];
+    });
+    if (!entries.some(([field]) => field === idField)) {
+        entries.push([idField, 1]);
+    }
+    return entries;
+}
+
+/**
+ * Resolve the page to fetch from the cursor params
+ *
+ * @param {Object} params - Parsed params with cursor, sort and limit
+ * @param {Object} options - Adapter options with idField and defaultLimit
+ * @returns {Object} The page as { entries, querySort, values, direction, limit }
+ */
+function createCursorPage(params, options) {
+    let limit = params.limit;
+    if (limit === undefined || limit === null) {
+        limit = options.defaultLimit || -1;
+    }
+    if (!(limit > 0)) {
+        throw new BadRequestError('Cursor pagination requires a positive "limit"');
+    }
+    let entries = toSortEntries(params.sort, options.idField);
+    let page = { entries: entries, values: null, direction: 'next', limit: limit };
+    if (params.cursor) {
+        let payload = decodeCursor(params.cursor);
+        if (!_.isEqual(payload.f, entries.map(([field, dir]) => dir < 0 ? '-' + field : field))) {
+            throw new BadRequestError('Parameter "cursor" was issued for a different sort');
+        }
+        page.values = payload.v;
+        page.direction = payload.d === 'prev' ? 'prev' : 'next';
+    }
+    // Walking backwards reads in the inverse order and reverses the page afterwards
+    let sign = page.direction === 'prev' ? -1 : 1;
+    page.querySort = entries.map(([field, dir]) => [field, dir * sign]);
+    return page;
+}
+
+/**
+ * Build the filter selecting documents after the cursor position in query order:
+ * (a > x) OR (a = x AND b > y) OR ...
+ * Nulls are placed where the database sorts them, since a comparison with null matches nothing:
+ * before the other values of an ascending sort when nullsFirst is set (MongoDB, MySQL, SQLite,
+ * SQL Server), after them otherwise (PostgreSQL, Oracle).
+ *
+ * @param {Object} page - The page from createCursorPage
+ * @param {Object} ops - Operator keys as { gt, lt, ne, or }, e.g. '$gt' or Sequelize Op.gt
+ * @param {boolean} [nullsFirst] - Whether nulls sort before other values in ascending order
+ * @returns {Object|null} The keyset filter, or null on the first page
+ */
+function createKeysetFilter(page, ops, nullsFirst) {
+    if (!page.values) {
+        return null;
+    }
+    let branches = [];
+    page.querySort.forEach(([field, dir], index) => {
+        let value = page.values[index];
+        // Whether nulls come before the other values in the order the query walks
+        let nullsBefore = (dir > 0) === !!nullsFirst;
+        let condition;
+        if (value === null) {
+            if (!nullsBefore) {
+                // Nothing sorts after the nulls
+                return;
+            }
+            condition = { [field]: { [ops.ne]: null } };
+        } else {
+            let after = { [field]: { [dir > 0 ? ops.gt : ops.lt]: value } };
+            condition = nullsBefore ? after : { [ops.or]: [after, { [field]: null }] };
+        }
+        let branch = {};
+        for (let i = 0; i < index; i++) {
+            branch[page.querySort[i][0]] = page.values[i];
+        }
+        branches.push(Object.assign(branch, condition));
+    });
+    return { [ops.or]: branches };
+}
+
+function readValue(doc, field) {
+    let value = doc && typeof doc.get === 'function' ? doc.get(field) : _.get(doc, field);
+    if (value === undefined && doc && doc.dataValues) {
+        // Sequelize only gets attributes, not paths inside JSON attributes
+        value = _.get(doc.dataValues, field);
+    }
+    if (value && value._bsontype) {
+        // ObjectId and other BSON wrappers
+        return value.toString();
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * Read the sort key values of a document
+ *
+ * @param {Array<Array>} entries - The sort entries
+ * @param {Object} doc - The document
+ * @returns {Array} The values, in sort entry order
+ */
+function readSortValues(entries, doc) {
+    return entries.map(([field]) => readValue(doc, field));
+}
+
+function cursorFor(page, doc, direction) {
+    return encodeCursor({
+        f: page.entries.map(([field, dir]) => dir < 0 ? '-' + field : field),
+        v: readSortValues(page.entries, doc),
+        d: direction
+    });
+}
+
+/**
+ * Build the response body for a page fetched with limit + 1 documents
+ *
+ * @param {Object} page - The page from createCursorPage
+ * @param {Array} docs - The fetched documents, in query order
+ * @returns {Object} The body as { data, nextCursor, prevCursor }
+ */
+function createCursorBody(page, docs) {
+    let hasMore = docs.length > page.limit;
+    let data = docs.slice(0, page.limit);
+    let hasNext, hasPrev;
+    if (page.direction === 'prev') {
+        data.reverse();
+        hasNext = true;
+        hasPrev = hasMore;
+    } else {
+        hasNext = hasMore;
+        hasPrev = !!page.values;
+    }
+    return {
+        data: data,
+        nextCursor: hasNext && data.length > 0 ? cursorFor(page, data[data.length - 1], 'next') : null,
+        prevCursor: hasPrev && data.length > 0 ? cursorFor(page, data[0], 'prev') : null
+    };
+}
+
+module.exports = {
+    toSortEntries: toSortEntries,
+    readSortValues: readSortValues,
+    createCursorPage: createCursorPage,
+    createKeysetFilter: createKeysetFilter,
+    createCursorBody: createCursorBody
+};
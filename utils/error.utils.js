@@ -0,0 +1,224 @@
+'use strict';
+
+const { STATUS_CODES } = require('http');
+
+/**
+ * Base error for failures that map to a specific HTTP status
+ * @param {number} statusCode - HTTP status code for the error
+ * @param {string} message - Error message
+ */
+class CrudderError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Raised when request parameters are malformed
+ */
+class BadRequestError extends CrudderError {
+    constructor(message) {
+        super(400, message);
+    }
+}
+
+/**
+ * Raised when the requested document does not exist
+ */
+class NotFoundError extends CrudderError {
+    constructor(message) {
+        super(404, message || 'Document not found');
+    }
+}
+
+/**
+ * Raised when the request conflicts with the current state of a document
+ */
+class ConflictError extends CrudderError {
+    constructor(message) {
+        super(409, message || 'Conflict');
+    }
+}
+
+/**
+ * Raised when the request is well formed but its content cannot be applied
+ */
+class UnprocessableEntityError extends CrudderError {
+    constructor(message) {
+        super(422, message || 'Unprocessable entity');
+    }
+}
+
+/**
+ * Raised when an If-Match precondition does not hold, e.g. the document changed since it was read
+ */
+class PreconditionFailedError extends CrudderError {
+    constructor(message) {
+        super(412, message || 'Precondition failed');
+    }
+}
+
+/**
+ * Reported for the items of an atomic write that were undone because another item failed
+ */
+class RolledBackError extends CrudderError {
+    constructor(message) {
+        super(424, message || 'Rolled back because another item failed');
+    }
+}
+
+// Default status per error name, for the errors Mongoose, MongoDB and Sequelize throw
+const ERROR_STATUS = {
+    ValidationError: 422,
+    ValidatorError: 422,
+    CastError: 400,
+    StrictModeError: 400,
+    ObjectParameterError: 400,
+    DocumentNotFoundError: 404,
+    VersionError: 409,
+    ParallelSaveError: 409,
+    SequelizeValidationError: 422,
+    SequelizeUniqueConstraintError: 409,
+    SequelizeForeignKeyConstraintError: 409,
+    SequelizeExclusionConstraintError: 409,
+    SequelizeOptimisticLockError: 409,
+    SequelizeEmptyResultError: 404
+};
+
+// Driver codes of bad input values: MongoDB BadValue / FailedToParse / duplicate key,
+// MySQL data errors. PostgreSQL data exceptions (class 22) are matched by prefix.
+const ERROR_CODE_STATUS = {
+    2: 400,
+    9: 400,
+    11000: 409,
+    11001: 409,
+    ER_TRUNCATED_WRONG_VALUE: 400,
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: 400,
+    ER_DATA_TOO_LONG: 400,
+    ER_WARN_DATA_OUT_OF_RANGE: 400
+};
+
+function defaultStatus(err) {
+    if (err.statusCode) {
+        return err.statusCode;
+    }
+    if (ERROR_STATUS[err.name]) {
+        return ERROR_STATUS[err.name];
+    }
+    let code = err.code !== undefined ? err.code : (err.parent && err.parent.code);
+    if (ERROR_CODE_STATUS[code]) {
+        return ERROR_CODE_STATUS[code];
+    }
+    if (err.name === 'SequelizeDatabaseError' && /^22/.test(String(code))) {
+        return 400;
+    }
+    return 500;
+}
+
+/**
+ * Classify an error into an HTTP status and problem details.
+ * The `mapError` hook is asked first; it may return a status code, an object
+ * with { status, type, title, detail }, or nothing to use the default mapping.
+ * 
+ * @param {Error} err - The error
+ * @param {Function} [mapError] - Custom mapping from options
+ * @returns {Object} The classification as { status, type, title, detail }
+ */
+function classifyError(err, mapError) {
+    let mapped = mapError ? mapError(err) : null;
+    if (typeof mapped === 'number') {
+        mapped = { status: mapped };
+    }
+    mapped = mapped || {};
+    let status = mapped.status || defaultStatus(err);
+    return {
+        status: status,
+        type: mapped.type || 'about:blank',
+        title: mapped.title || STATUS_CODES[status] || 'Error',
+        detail: mapped.detail || (err && err.message)
+    };
+}
+
+/**
+ * Build an RFC 7807 problem details body for an error.
+ * The `message` member is kept for clients reading the previous `{ message }` body.
+ * 
+ * @param {Error} err - The error
+ * @param {Function} [mapError] - Custom mapping from options
+ * @param {string} [instance] - URI of the request that failed
+ * @returns {Object} The problem details as { type, title, status, detail, instance, errors }
+ */
+function createProblem(err, mapError, instance) {
+    let problem = classifyError(err, mapError);
+    let body = {
+        type: problem.type,
+        title: problem.title,
+        status: problem.status,
+        detail: problem.detail,
+        message: problem.detail
+    };
+    if (instance) {
+        body.instance = instance;
+    }
+    let serialized = serializeError(err);
+    if (serialized && serialized.errors && serialized.errors.length > 0) {
+        body.errors = serialized.errors;
+    }
+    if (serialized && serialized.keyValue) {
+        body.keyValue = serialized.keyValue;
+    }
+    return body;
+}
+
+/**
+ * Serialize an error into a plain JSON object, keeping the per-path details of
+ * Mongoose and Sequelize validation errors
+ * 
+ * @param {Error} err - The error
+ * @returns {Object} The serialized error as { name, message, code, errors }
+ */
+function serializeError(err) {
+    if (!err) {
+        return null;
+    }
+    let result = { name: err.name, message: err.message };
+    if (err.code !== undefined) {
+        result.code = err.code;
+    }
+    if (Array.isArray(err.errors)) {
+        // Sequelize ValidationErrorItem list
+        result.errors = err.errors.map(item => ({
+            path: item.path,
+            message: item.message,
+            kind: item.validatorKey || item.type,
+            value: item.value
+        }));
+    } else if (err.errors && typeof err.errors === 'object') {
+        // Mongoose ValidatorError / CastError map keyed by path
+        result.errors = Object.keys(err.errors).map(path => ({
+            path: path,
+            message: err.errors[path].message,
+            kind: err.errors[path].kind,
+            value: err.errors[path].value
+        }));
+    }
+    if (err.keyValue) {
+        result.keyValue = err.keyValue;
+    }
+    return result;
+}
+
+module.exports = {
+    serializeError: serializeError,
+    classifyError: classifyError,
+    createProblem: createProblem,
+    CrudderError: CrudderError,
+    BadRequestError: BadRequestError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    UnprocessableEntityError: UnprocessableEntityError,
+    PreconditionFailedError: PreconditionFailedError,
+    RolledBackError: RolledBackError
+};
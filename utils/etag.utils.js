@@ -0,0 +1,141 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PreconditionFailedError } = require('./error.utils');
+
+// Errors the adapters throw when a versioned save finds the row already changed
+const VERSION_CONFLICTS = ['VersionError', 'SequelizeOptimisticLockError'];
+
+/**
+ * Build the ETag of a document version. A stored null counts as version 0, like the
+ * increments do; undefined means the version was not loaded.
+ *
+ * @param {*} version - The value of the version field
+ * @returns {string|null} A strong ETag like "3", or null without a version
+ */
+function createETag(version) {
+    if (version === undefined) {
+        return null;
+    }
+    return `"${version === null ? 0 : version}"`;
+}
+
+/**
+ * Build a weak ETag from the JSON form of a response body, for documents without a version
+ */
+function hashETag(body) {
+    return `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+}
+
+/**
+ * Build the weak ETag of a collection from its size and latest change
+ *
+ * @param {number} count - Number of matching documents
+ * @param {Date|null} lastModified - Latest modification time of the matching documents
+ * @returns {string} An ETag like W/"12-1714557600000"
+ */
+function collectionETag(count, lastModified) {
+    return `W/"${count}-${lastModified ? lastModified.getTime() : 0}"`;
+}
+
+/**
+ * Build the ETag and Last-Modified response headers
+ *
+ * @param {string|null} etag - The ETag
+ * @param {Date|string|null} lastModified - The modification time
+ * @returns {Object} The headers that have a value
+ */
+function createCacheHeaders(etag, lastModified) {
+    let headers = {};
+    if (etag) {
+        headers.ETag = etag;
+    }
+    let time = lastModified ? new Date(lastModified) : null;
+    if (time && !isNaN(time.getTime())) {
+        headers['Last-Modified'] = time.toUTCString();
+    }
+    return headers;
+}
+
+/**
+ * Evaluate If-None-Match, or If-Modified-Since when it is absent, against the response headers
+ *
+ * @param {Object} headers - Request headers
+ * @param {Object} cacheHeaders - ETag and Last-Modified of the current representation
+ * @returns {boolean} True when the client copy is current and 304 can be sent
+ */
+function isNotModified(headers, cacheHeaders) {
+    let ifNoneMatch = headers && headers['if-none-match'];
+    if (ifNoneMatch) {
+        if (!cacheHeaders.ETag) {
+            return false;
+        }
+        if (ifNoneMatch.trim() === '*') {
+            return true;
+        }
+        // If-None-Match uses the weak comparison
+        let opaque = tag => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.split(',').map(opaque).indexOf(opaque(cacheHeaders.ETag)) > -1;
+    }
+    let ifModifiedSince = headers && headers['if-modified-since'];
+    if (ifModifiedSince && cacheHeaders['Last-Modified']) {
+        let since = Date.parse(ifModifiedSince);
+        return !isNaN(since) && Date.parse(cacheHeaders['Last-Modified']) <= since;
+    }
+    return false;
+}
+
+/**
+ * Whether a read carries If-None-Match or If-Modified-Since
+ *
+ * @param {Object} headers - Request headers
+ * @returns {boolean} True for a conditional request
+ */
+function isConditional(headers) {
+    return !!(headers && (headers['if-none-match'] || headers['if-modified-since']));
+}
+
+/**
+ * Check the If-Match header of a request against the current document
+ *
+ * @param {Object} headers - Request headers
+ * @param {boolean} exists - Whether the document exists
+ * @param {string|null} etag - The current ETag of the document
+ * @returns {boolean} True when the request carried If-Match and it holds
+ * @throws {PreconditionFailedError} When the document is missing, unversioned or at another version
+ */
+function checkIfMatch(headers, exists, etag) {
+    let header = headers && headers['if-match'];
+    if (!header) {
+        return false;
+    }
+    if (!exists) {
+        throw new PreconditionFailedError('The document does not exist');
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    let tags = header.split(',').map(tag => tag.trim());
+    if (!etag || tags.indexOf(etag) === -1) {
+        throw new PreconditionFailedError('The document was changed since it was read');
+    }
+    return true;
+}
+
+/**
+ * Report a version conflict of a save that followed a successful If-Match check as a failed precondition too
+ */
+function toPreconditionError(err) {
+    return VERSION_CONFLICTS.indexOf(err.name) > -1 ? new PreconditionFailedError('The document was changed since it was read') : err;
+}
+
+module.exports = {
+    createETag: createETag,
+    hashETag: hashETag,
+    collectionETag: collectionETag,
+    createCacheHeaders: createCacheHeaders,
+    isNotModified: isNotModified,
+    isConditional: isConditional,
+    checkIfMatch: checkIfMatch,
+    toPreconditionError: toPreconditionError
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { BadRequestError } = require('./error.utils');
+
+const FORMATS = {
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv'
+};
+
+/**
+ * Pick the export format from the format param, falling back to the Accept header
+ *
+ * @param {Object} params - Parsed params
+ * @param {Object} headers - Request headers
+ * @returns {string} 'ndjson' or 'csv'
+ */
+function resolveFormat(params, headers) {
+    if (params.format) {
+        let format = String(params.format).toLowerCase();
+        if (!FORMATS[format]) {
+            throw new BadRequestError(`Unsupported export format: ${params.format}`);
+        }
+        return format;
+    }
+    let accept = (headers && headers.accept) || '';
+    if (accept.indexOf('text/csv') > -1) {
+        return 'csv';
+    }
+    return 'ndjson';
+}
+
+/**
+ * Convert a document into a plain JSON value, the same way it would be serialized in a response
+ */
+function toPlain(doc) {
+    return JSON.parse(JSON.stringify(doc));
+}
+
+/**
+ * Flatten nested objects into dot separated keys, e.g. { metadata: { city } } → { 'metadata.city' }.
+ * Arrays are kept as values.
+ *
+ * @param {Object} obj - Plain object
+ * @param {string} [prefix] - Key prefix
+ * @param {Object} [result] - Accumulator
+ * @returns {Object} The flattened object
+ */
+function flattenObject(obj, prefix, result) {
+    result = result || {};
+    Object.keys(obj).forEach(key => {
+        let path = prefix ? `${prefix}.${key}` : key;
+        let value = obj[key];
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+            flattenObject(value, path, result);
+        } else {
+            result[path] = value;
+        }
+    });
+    return result;
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Resolve the CSV columns: the selected fields, with nested objects expanded
+ * into the flattened keys of the first document, or all keys of the first document
+ *
+ * @param {Array<string>} select - Selected fields
+ * @param {Object} first - First flattened document
+ * @returns {Array<string>} The columns
+ */
+function resolveColumns(select, first) {
+    let keys = Object.keys(first || {});
+    let fields = (select || []).filter(field => field.charAt(0) !== '-');
+    if (fields.length === 0) {
+        return keys;
+    }
+    return fields.reduce((prev, field) => {
+        let nested = keys.filter(key => key.indexOf(field + '.') === 0);
+        return prev.concat(nested.length > 0 ? nested : [field]);
+    }, []);
+}
+
+async function* ndjsonLines(source) {
+    for await (const doc of source) {
+        yield JSON.stringify(doc) + '\n';
+    }
+}
+
+async function* csvLines(source, select) {
+    let columns = null;
+    for await (const doc of source) {
+        let row = flattenObject(toPlain(doc));
+        if (!columns) {
+            columns = resolveColumns(select, row);
+            yield columns.map(toCsvValue).join(',') + '\n';
+        }
+        yield columns.map(column => toCsvValue(row[column])).join(',') + '\n';
+    }
+    if (!columns && select && select.length > 0) {
+        yield resolveColumns(select, null).map(toCsvValue).join(',') + '\n';
+    }
+}
+
+/**
+ * Create the export result body and headers
+ *
+ * @param {AsyncIterable} source - Documents to export
+ * @param {string} format - 'ndjson' or 'csv'
+ * @param {Array<string>} [select] - Selected fields, used as CSV columns
+ * @returns {Object} { stream, headers }
+ */
+function createExportStream(source, format, select) {
+    let lines = format === 'csv' ? csvLines(source, select) : ndjsonLines(source);
+    return {
+        stream: Readable.from(lines),
+        headers: { 'Content-Type': `${FORMATS[format]}; charset=utf-8` }
+    };
+}
+
+module.exports = {
+    resolveFormat: resolveFormat,
+    flattenObject: flattenObject,
+    createExportStream: createExportStream
+};
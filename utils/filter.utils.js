@@ -1,3 +1,23 @@
+const { BadRequestError } = require('./error.utils');
+const { convertMongoFilterToSQL, readRegex, readLiteralRegex, convertLiteralToLike } = require('./mongoToSQL.utils');
+
+// Operators translated to SQL by convertMongoFilterToSQL, they need the dialect and the model
+const ARRAY_OPERATORS = ['$all', '$size', '$elemMatch', '$type'];
+
+function typeKey(attribute) {
+    return attribute && attribute.type ? attribute.type.key : null;
+}
+
+/**
+ * The JSON and JSONB attributes of a model, with their column names
+ * @returns {Object} { attributes, columns }
+ */
+function jsonColumnsOf(model) {
+    const attributes = model.rawAttributes || {};
+    const names = Object.keys(attributes).filter(name => typeKey(attributes[name]) === 'JSON' || typeKey(attributes[name]) === 'JSONB');
+    return { attributes: names, columns: names.map(name => attributes[name].field || name) };
+}
+
 const parseMongoFilter = {
     IsString: function (val) {
         return val && val.constructor.name === 'String';
@@ -64,28 +84,123 @@ const parseSQLFilter = {
     },
 
     /**
-     * Convert a slash pattern to Sequelize Op.like pattern
+     * Convert $regex or a slash pattern. With the model it is translated to SQL for the dialect and
+     * added to conditions. Without it, literal patterns become Op.like or Op.iLike and the others
+     * Op.regexp or Op.iRegexp.
+     * @param {*} regex - RegExp object, string pattern, or object with $regex and $options
+     */
+    convertRegex: function (regex, Op, field, options, conditions) {
+        const { source, insensitive } = readRegex(regex);
+        if (options && options.model && conditions) {
+            conditions.push(this.convertToLiteral(field, { $regex: source, $options: insensitive ? 'i' : '' }, options));
+            return {};
+        }
+        const literal = readLiteralRegex(source);
+        if (literal) {
+            return { [insensitive ? Op.iLike : Op.like]: convertLiteralToLike(literal, /[%_\\]/g) };
+        }
+        return { [insensitive ? Op.iRegexp : Op.regexp]: source };
+    },
+
+    /**
+     * Resolve a dotted field inside a JSON or JSONB attribute of the model, e.g. metadata.address.city
+     * @param {string} field - The field
+     * @param {Object} [model] - The Sequelize model
+     * @returns {Object|null} { attribute, path }, or null when the field is not a JSON path
      */
-    convertSlashPatternToLike: function (pattern) {
-        const innerPattern = pattern.substring(1, pattern.length - 1);
-        const startsWithCaret = innerPattern.charAt(0) === '^';
-        const endsWithDollar = innerPattern.charAt(innerPattern.length - 1) === '$';
+    resolveJsonPath: function (field, model) {
+        if (!model || typeof field !== 'string' || field.indexOf('.') === -1) {
+            return null;
+        }
+        const [attribute, ...path] = field.split('.');
+        if (jsonColumnsOf(model).attributes.indexOf(attribute) === -1) {
+            return null;
+        }
+        return { attribute: attribute, path: path };
+    },
 
-        let cleanPattern = innerPattern;
-        if (startsWithCaret) cleanPattern = cleanPattern.substring(1);
-        if (endsWithDollar) cleanPattern = cleanPattern.substring(0, cleanPattern.length - 1);
+    /**
+     * Reject a field that is neither an attribute of the model nor the column of one,
+     * so a typo answers 400 instead of failing in the database
+     * @param {string} field - The field
+     * @param {Object} [model] - The Sequelize model, nothing is checked without one
+     */
+    checkField: function (field, model) {
+        if (!model || !model.rawAttributes) {
+            return;
+        }
+        const attributes = model.rawAttributes;
+        if (attributes[field] || Object.keys(attributes).some(name => attributes[name].field === field)) {
+            return;
+        }
+        throw new BadRequestError(field.charAt(0) === '$' ? `Unsupported operator: ${field}` : `Unknown field: ${field}`);
+    },
 
-        let likePattern = cleanPattern;
-        if (!startsWithCaret) likePattern = '%' + likePattern;
-        if (!endsWithDollar) likePattern = likePattern + '%';
+    /**
+     * Translate the condition of a field of the model into a SQL literal with convertMongoFilterToSQL.
+     * Columns of JSON and JSONB attributes hold JSON documents, PostgreSQL ARRAY attributes are native arrays.
+     */
+    convertToLiteral: function (field, condition, options) {
+        const model = options.model;
+        const attributes = model.rawAttributes || {};
+        const [name, ...path] = field.split('.');
+        const column = [(attributes[name] && attributes[name].field) || name].concat(path).join('.');
+        const { literal } = require('sequelize');
+        const { whereClause } = convertMongoFilterToSQL({ [column]: condition }, {
+            dialect: options.dialect || model.sequelize.getDialect(),
+            jsonColumns: jsonColumnsOf(model).columns,
+            escape: (val) => model.sequelize.escape(val)
+        });
+        return literal(whereClause);
+    },
 
-        return likePattern;
+    /**
+     * Translate $all, $size, $elemMatch or $type on a field of the model into a SQL literal
+     * @returns {Object} A Sequelize literal, or the conditions of the attribute for $all on a PostgreSQL ARRAY
+     */
+    convertArrayOperator: function (field, operator, value, Op, options) {
+        const model = options && options.model;
+        if (!model) {
+            throw new BadRequestError(`${operator} requires the model to be passed to FilterParse`);
+        }
+        const dialect = options.dialect || model.sequelize.getDialect();
+        const attribute = (model.rawAttributes || {})[field];
+        if (operator === '$all' && dialect === 'postgres' && typeKey(attribute) === 'ARRAY' && Array.isArray(value)) {
+            // Sequelize casts the values to the type of the array
+            return { [Op.contains]: value };
+        }
+        return this.convertToLiteral(field, { [operator]: value }, options);
     },
 
     /**
-     * Convert MongoDB operator to Sequelize Op
+     * Convert MongoDB operator to Sequelize Op. Conditions that cannot be expressed on the
+     * attribute, like $size, are added to conditions and an empty object is returned.
      */
-    convertOperator: function (operator, value, Op) {
+    convertOperator: function (operator, value, Op, field, options, conditions) {
+        if (operator === '$exists') {
+            return value ? { [Op.not]: null } : { [Op.is]: null };
+        }
+
+        if (operator === '$regex') {
+            return this.convertRegex(value, Op, field, options, conditions);
+        }
+
+        if (operator === '$options') {
+            throw new BadRequestError('$options operator requires $regex');
+        }
+
+        if (ARRAY_OPERATORS.indexOf(operator) > -1) {
+            if (!conditions) {
+                throw new BadRequestError(`${operator} is only supported on a field`);
+            }
+            const converted = this.convertArrayOperator(field, operator, value, Op, options);
+            if (Object.getOwnPropertySymbols(converted).length > 0) {
+                return converted;
+            }
+            conditions.push(converted);
+            return {};
+        }
+
         const operatorMap = {
             '$eq': Op.eq,
             '$ne': Op.ne,
@@ -109,36 +224,24 @@ const parseSQLFilter = {
 
         const seqOp = operatorMap[operator];
         if (!seqOp) {
-            throw new Error(`Unsupported operator: ${operator}`);
-        }
-
-        // Handle $regex specially - convert to Op.like
-        if (operator === '$regex') {
-            let pattern;
-            if (value instanceof RegExp) {
-                pattern = value.source;
-            } else if (typeof value === 'object' && value.$regex) {
-                pattern = value.$regex instanceof RegExp ? value.$regex.source : value.$regex;
-            } else {
-                pattern = String(value);
-            }
-
-            const startsWithCaret = pattern.charAt(0) === '^';
-            const endsWithDollar = pattern.charAt(pattern.length - 1) === '$';
-
-            if (startsWithCaret) pattern = pattern.substring(1);
-            if (endsWithDollar) pattern = pattern.substring(0, pattern.length - 1);
-
-            let likePattern = pattern;
-            if (!startsWithCaret) likePattern = '%' + likePattern;
-            if (!endsWithDollar) likePattern = likePattern + '%';
-
-            return { [Op.like]: likePattern };
+            throw new BadRequestError(`Unsupported operator: ${operator}`);
         }
 
         // For $not, recursively convert the inner condition
         if (operator === '$not') {
-            return { [Op.not]: this.convertValue(value, Op) };
+            const inner = [];
+            const converted = this.convertValue(value, Op, field, options, inner);
+            if (inner.length === 0) {
+                return { [Op.not]: converted };
+            }
+            if (!conditions) {
+                throw new BadRequestError('$not of array operators and patterns is only supported on a field');
+            }
+            if (Reflect.ownKeys(converted).length > 0) {
+                inner.unshift({ [field]: converted });
+            }
+            conditions.push({ [Op.not]: { [Op.and]: inner } });
+            return {};
         }
 
         return { [seqOp]: value };
@@ -147,7 +250,7 @@ const parseSQLFilter = {
     /**
      * Convert a field value to Sequelize format
      */
-    convertValue: function (value, Op) {
+    convertValue: function (value, Op, field, options, conditions) {
         // Handle null and undefined
         if (value === null || value === undefined) {
             return { [Op.eq]: value };
@@ -155,8 +258,11 @@ const parseSQLFilter = {
 
         // Handle slash pattern
         if (this.isSlashPattern(value)) {
-            const likePattern = this.convertSlashPatternToLike(value);
-            return { [Op.like]: likePattern };
+            return this.convertRegex(value.substring(1, value.length - 1), Op, field, options, conditions);
+        }
+
+        if (value instanceof RegExp) {
+            return this.convertRegex(value, Op, field, options, conditions);
         }
 
         // Handle Date objects
@@ -177,7 +283,12 @@ const parseSQLFilter = {
             if (firstKey.charAt(0) === '$') {
                 const result = {};
                 for (const operator in value) {
-                    const converted = this.convertOperator(operator, value[operator], Op);
+                    // $options goes with $regex
+                    if (operator === '$options' && value.$regex !== undefined) {
+                        continue;
+                    }
+                    const operand = operator === '$regex' ? { $regex: value.$regex, $options: value.$options } : value[operator];
+                    const converted = this.convertOperator(operator, operand, Op, field, options, conditions);
                     Object.assign(result, converted);
                 }
                 return result;
@@ -191,8 +302,13 @@ const parseSQLFilter = {
     /**
      * Main filter parsing function
      * Converts MongoDB filter to Sequelize filter
+     * @param {Object} filter - MongoDB filter
+     * @param {Object} [Op] - Sequelize Op, loaded from sequelize when omitted
+     * @param {Object} [options] - { model, dialect }: the model is needed by $all, $size, $elemMatch
+     *   and $type, resolves dotted fields of its JSON attributes and rejects unknown fields with a BadRequestError,
+     *   the dialect defaults to the one of the model
      */
-    FilterParse: function (filter, Op) {
+    FilterParse: function (filter, Op, options) {
         if (!Op) {
             try {
                 // Try to require Sequelize
@@ -215,25 +331,36 @@ const parseSQLFilter = {
             // Handle logical operators
             if (key === '$and') {
                 if (!Array.isArray(value)) {
-                    throw new Error('$and operator requires an array');
+                    throw new BadRequestError('$and operator requires an array');
                 }
-                result[Op.and] = value.map(subFilter => this.FilterParse(subFilter, Op));
+                result[Op.and] = (result[Op.and] || []).concat(value.map(subFilter => this.FilterParse(subFilter, Op, options)));
             } else if (key === '$or') {
                 if (!Array.isArray(value)) {
-                    throw new Error('$or operator requires an array');
+                    throw new BadRequestError('$or operator requires an array');
                 }
-                result[Op.or] = value.map(subFilter => this.FilterParse(subFilter, Op));
+                result[Op.or] = value.map(subFilter => this.FilterParse(subFilter, Op, options));
             } else if (key === '$nor') {
                 if (!Array.isArray(value)) {
-                    throw new Error('$nor operator requires an array');
+                    throw new BadRequestError('$nor operator requires an array');
                 }
                 // $nor is NOT ($or(...))
                 result[Op.not] = {
-                    [Op.or]: value.map(subFilter => this.FilterParse(subFilter, Op))
+                    [Op.or]: value.map(subFilter => this.FilterParse(subFilter, Op, options))
                 };
+            } else if (this.resolveJsonPath(key, options && options.model)) {
+                // Path inside a JSON attribute, translated to the JSON functions of the dialect
+                result[Op.and] = (result[Op.and] || []).concat(this.convertToLiteral(key, value, options));
             } else {
-                // Regular field
-                result[key] = this.convertValue(value, Op);
+                // Regular field, conditions on its SQL expression are added to Op.and
+                this.checkField(key, options && options.model);
+                const conditions = [];
+                const converted = this.convertValue(value, Op, key, options, conditions);
+                if (conditions.length === 0 || Reflect.ownKeys(converted).length > 0) {
+                    result[key] = converted;
+                }
+                if (conditions.length > 0) {
+                    result[Op.and] = (result[Op.and] || []).concat(conditions);
+                }
             }
         }
 
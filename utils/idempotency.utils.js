@@ -0,0 +1,244 @@
+'use strict';
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const { BadRequestError, ConflictError, UnprocessableEntityError } = require('./error.utils');
+const { createResult } = require('./response.utils');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const IDEMPOTENCY_COLLECTION = 'omni_idempotency_keys';
+const DEFAULT_TTL = 24 * 60 * 60;
+
+/*
+ * A store keeps one record per key: { fingerprint, response, expiresAt }, where response is
+ * the JSON of the stored result, or null while the first request is still running.
+ *
+ *   acquire(key, fingerprint, expiresAt) - Reserve the key and resolve null, or resolve the
+ *                                          record that already holds it
+ *   complete(key, response)              - Save the JSON of the result for the reserved key
+ *   release(key)                         - Drop the reservation so the request can be retried
+ */
+
+/**
+ * Keeps the keys in process memory, for tests and single instance deployments
+ * @constructor
+ */
+function MemoryIdempotencyStore() {
+    this.records = new Map();
+}
+
+MemoryIdempotencyStore.prototype.acquire = async function (key, fingerprint, expiresAt) {
+    let record = this.records.get(key);
+    if (record && record.expiresAt > new Date()) {
+        return record;
+    }
+    this.records.set(key, { fingerprint: fingerprint, response: null, expiresAt: expiresAt });
+    return null;
+};
+
+MemoryIdempotencyStore.prototype.complete = async function (key, response) {
+    let record = this.records.get(key);
+    if (record) {
+        record.response = response;
+    }
+};
+
+MemoryIdempotencyStore.prototype.release = async function (key) {
+    this.records.delete(key);
+};
+
+/**
+ * Keeps the keys in the omni_idempotency_keys collection of the model's connection.
+ * A TTL index removes expired keys.
+ * @constructor
+ * @param {Object} model - Mongoose model whose connection holds the collection
+ */
+function MongooseIdempotencyStore(model) {
+    let connection = model.db;
+    this.model = connection.models.OmniIdempotencyKey;
+    if (!this.model) {
+        const Schema = model.base.Schema;
+        let schema = new Schema({
+            _id: String,
+            fingerprint: String,
+            response: { type: String, default: null },
+            expiresAt: { type: Date, expires: 0 }
+        }, { collection: IDEMPOTENCY_COLLECTION, versionKey: false });
+        this.model = connection.model('OmniIdempotencyKey', schema);
+    }
+}
+
+MongooseIdempotencyStore.prototype.acquire = async function (key, fingerprint, expiresAt) {
+    // The TTL monitor runs once a minute, so an expired record may still be there
+    await this.model.deleteOne({ _id: key, expiresAt: { $lte: new Date() } });
+    try {
+        await this.model.create({ _id: key, fingerprint: fingerprint, expiresAt: expiresAt });
+        return null;
+    } catch (err) {
+        if (err.code !== 11000) {
+            throw err;
+        }
+        return this.model.findById(key).lean();
+    }
+};
+
+MongooseIdempotencyStore.prototype.complete = async function (key, response) {
+    await this.model.updateOne({ _id: key }, { $set: { response: response } });
+};
+
+MongooseIdempotencyStore.prototype.release = async function (key) {
+    await this.model.deleteOne({ _id: key });
+};
+
+/**
+ * Keeps the keys in the omni_idempotency_keys table of the model's database.
+ * The table is created on first use; expired keys are replaced when the key comes back.
+ * @constructor
+ * @param {Object} model - Sequelize model whose instance holds the table
+ */
+function SequelizeIdempotencyStore(model) {
+    const { DataTypes } = require('sequelize');
+    let sequelize = model.sequelize;
+    this.model = sequelize.models.OmniIdempotencyKey || sequelize.define('OmniIdempotencyKey', {
+        key: { type: DataTypes.STRING(255), primaryKey: true },
+        fingerprint: { type: DataTypes.STRING(64), allowNull: false },
+        response: { type: DataTypes.TEXT, allowNull: true },
+        expiresAt: { type: DataTypes.DATE, allowNull: false }
+    }, { tableName: IDEMPOTENCY_COLLECTION, timestamps: false });
+    this.ready = null;
+}
+
+SequelizeIdempotencyStore.prototype._sync = function () {
+    if (!this.ready) {
+        this.ready = this.model.sync().catch(err => {
+            this.ready = null;
+            throw err;
+        });
+    }
+    return this.ready;
+};
+
+SequelizeIdempotencyStore.prototype.acquire = async function (key, fingerprint, expiresAt) {
+    const { Op } = require('sequelize');
+    await this._sync();
+    await this.model.destroy({ where: { key: key, expiresAt: { [Op.lte]: new Date() } } });
+    try {
+        await this.model.create({ key: key, fingerprint: fingerprint, expiresAt: expiresAt });
+        return null;
+    } catch (err) {
+        if (err.name !== 'SequelizeUniqueConstraintError') {
+            throw err;
+        }
+        return this.model.findByPk(key, { raw: true });
+    }
+};
+
+SequelizeIdempotencyStore.prototype.complete = async function (key, response) {
+    await this.model.update({ response: response }, { where: { key: key } });
+};
+
+SequelizeIdempotencyStore.prototype.release = async function (key) {
+    await this.model.destroy({ where: { key: key } });
+};
+
+/**
+ * JSON with sorted object keys, so the same body always has the same fingerprint
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (_.isPlainObject(value)) {
+        let keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint of a request: the operation and its parsed params, including the body
+ *
+ * @param {string} operation - Name of the service operation
+ * @param {Object} params - The parsed params
+ * @returns {string} A SHA-256 hex digest
+ */
+function fingerprintRequest(operation, params) {
+    return crypto.createHash('sha256').update(stableStringify({ operation: operation, params: params })).digest('hex');
+}
+
+/**
+ * Key of a record in the store: a digest of the scope and the header, so keys of any length
+ * stay distinct and fit the 255 character column of the Sequelize table
+ *
+ * @param {string} scope - Prefix of the stored keys, e.g. the model name
+ * @param {string} key - The Idempotency-Key header
+ * @returns {string} A SHA-256 hex digest
+ */
+function createStoreKey(scope, key) {
+    return crypto.createHash('sha256').update(`${scope}:${key}`).digest('hex');
+}
+
+/**
+ * Run an operation at most once per Idempotency-Key header. The first result is stored and
+ * replayed, with an `Idempotent-Replayed` header, for later requests with the same key and params.
+ * Errors thrown by the operation and 5xx results are not stored, so the request can be retried.
+ *
+ * @param {Object|null} store - The idempotency store, null to ignore the header
+ * @param {string} scope - Prefix of the stored keys, e.g. the model name
+ * @param {string} operation - Name of the service operation
+ * @param {Object} params - The parsed params
+ * @param {Object} context - Request context with headers
+ * @param {Function} run - async () => result
+ * @param {number} [ttl] - Seconds a key is kept, one day by default
+ * @returns {Promise<Object>} The result as { status, body, headers }
+ * @throws {BadRequestError} When the key is longer than 255 characters
+ * @throws {ConflictError} When the first request with the key is still running
+ * @throws {UnprocessableEntityError} When the key was used with different params
+ */
+async function runIdempotent(store, scope, operation, params, context, run, ttl) {
+    let key = context && context.headers ? context.headers[IDEMPOTENCY_HEADER] : undefined;
+    if (!store || key === undefined || key === null || key === '') {
+        return run();
+    }
+    key = String(key);
+    if (key.length > 255) {
+        throw new BadRequestError('Idempotency-Key must be at most 255 characters');
+    }
+    let storeKey = createStoreKey(scope, key);
+    let fingerprint = fingerprintRequest(operation, params);
+    let expiresAt = new Date(Date.now() + (ttl || DEFAULT_TTL) * 1000);
+    let record = await store.acquire(storeKey, fingerprint, expiresAt);
+    if (record) {
+        if (record.fingerprint !== fingerprint) {
+            throw new UnprocessableEntityError('Idempotency-Key was already used with a different request');
+        }
+        if (!record.response) {
+            throw new ConflictError('A request with this Idempotency-Key is still in progress');
+        }
+        let stored = JSON.parse(record.response);
+        return createResult(stored.status, stored.body, Object.assign({}, stored.headers, { 'Idempotent-Replayed': 'true' }));
+    }
+    let result;
+    try {
+        result = await run();
+    } catch (err) {
+        await store.release(storeKey);
+        throw err;
+    }
+    if (result.status >= 500) {
+        await store.release(storeKey);
+    } else {
+        await store.complete(storeKey, JSON.stringify({ status: result.status, body: result.body, headers: result.headers }));
+    }
+    return result;
+}
+
+module.exports = {
+    IDEMPOTENCY_HEADER: IDEMPOTENCY_HEADER,
+    MemoryIdempotencyStore: MemoryIdempotencyStore,
+    MongooseIdempotencyStore: MongooseIdempotencyStore,
+    SequelizeIdempotencyStore: SequelizeIdempotencyStore,
+    fingerprintRequest: fingerprintRequest,
+    createStoreKey: createStoreKey,
+    runIdempotent: runIdempotent
+};
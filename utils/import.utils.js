@@ -0,0 +1,279 @@
+'use strict';
+
+const _ = require('lodash');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { BadRequestError } = require('./error.utils');
+const { createResult } = require('./response.utils');
+
+const CONTENT_TYPES = {
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+    'application/x-ndjson': 'ndjson',
+    'application/ndjson': 'ndjson',
+    'application/jsonl': 'ndjson',
+    'application/json': 'json'
+};
+
+// Content types uploaded as raw text, which frameworks without a parser for them have to pass through
+const STREAM_CONTENT_TYPES = Object.keys(CONTENT_TYPES).filter(type => CONTENT_TYPES[type] !== 'json');
+
+/**
+ * Pick the import format from the format param, falling back to the Content-Type header
+ *
+ * @param {Object} params - Parsed params
+ * @param {Object} headers - Request headers
+ * @returns {string} 'csv', 'ndjson' or 'json'
+ */
+function resolveImportFormat(params, headers) {
+    if (params.format) {
+        let format = String(params.format).toLowerCase();
+        if (['csv', 'ndjson', 'json'].indexOf(format) === -1) {
+            throw new BadRequestError(`Unsupported import format: ${params.format}`);
+        }
+        return format;
+    }
+    if (Array.isArray(params.data)) {
+        return 'json';
+    }
+    let contentType = ((headers && headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+    if (!CONTENT_TYPES[contentType]) {
+        throw new BadRequestError('Cannot determine the import format, send a CSV or NDJSON Content-Type or pass "format"');
+    }
+    return CONTENT_TYPES[contentType];
+}
+
+/**
+ * Find the uploaded data: a parsed body, a raw string/Buffer, or the request stream
+ *
+ * @param {Object} params - Parsed params
+ * @param {Object} context - Service context
+ * @returns {string|Buffer|Readable|Array} The import source
+ */
+function resolveImportSource(params, context) {
+    let data = params.data;
+    if (Array.isArray(data) || typeof data === 'string' || Buffer.isBuffer(data) || data instanceof Readable) {
+        return data;
+    }
+    if (_.isPlainObject(data) && Object.keys(data).length > 0) {
+        // A single JSON document already parsed by a body parser
+        return [data];
+    }
+    let req = (context && context.req) || {};
+    if (req.stream instanceof Readable) {
+        return req.stream;
+    }
+    if (req instanceof Readable) {
+        return req;
+    }
+    throw new BadRequestError('No import data was uploaded');
+}
+
+async function* readText(source) {
+    if (typeof source === 'string') {
+        yield source;
+        return;
+    }
+    if (Buffer.isBuffer(source)) {
+        yield source.toString('utf8');
+        return;
+    }
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of source) {
+        yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    }
+    yield decoder.end();
+}
+
+/**
+ * Parse CSV records (RFC 4180: quoted fields, "" escapes, line breaks inside quotes)
+ */
+async function* readCsvRecords(source) {
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let afterQuote = false;
+    for await (const text of readText(source)) {
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"') {
+                    inQuotes = false;
+                    afterQuote = true;
+                } else {
+                    field += ch;
+                }
+                continue;
+            }
+            if (ch === '"') {
+                if (afterQuote) {
+                    field += '"';
+                }
+                inQuotes = true;
+                afterQuote = false;
+                continue;
+            }
+            afterQuote = false;
+            if (ch === ',') {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n') {
+                record.push(field);
+                yield record;
+                record = [];
+                field = '';
+            } else if (ch !== '\r') {
+                field += ch;
+            }
+        }
+    }
+    if (inQuotes) {
+        throw new BadRequestError('Unterminated quoted field in CSV upload');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        yield record;
+    }
+}
+
+async function* readLines(source) {
+    let buffer = '';
+    for await (const text of readText(source)) {
+        buffer += text;
+        let lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            yield line;
+        }
+    }
+    if (buffer) {
+        yield buffer;
+    }
+}
+
+/**
+ * Map a flat record onto model fields. Mapped columns are renamed, a falsy mapping
+ * drops the column, other columns keep their name. Dot separated names become nested objects.
+ */
+function mapRecord(record, mapping) {
+    return Object.keys(record).reduce((prev, column) => {
+        let field = mapping && Object.prototype.hasOwnProperty.call(mapping, column) ? mapping[column] : column;
+        if (field && record[column] !== undefined) {
+            _.set(prev, field, record[column]);
+        }
+        return prev;
+    }, {});
+}
+
+/**
+ * Read the uploaded rows. Every row is { row, data } or { row, error } when it cannot be parsed;
+ * row numbers are 1-based data rows (the CSV header is not counted) or NDJSON line numbers.
+ *
+ * @param {*} source - The import source
+ * @param {string} format - 'csv', 'ndjson' or 'json'
+ * @param {Object} [mapping] - Column to field mapping
+ */
+async function* readImportRows(source, format, mapping) {
+    if (format === 'json') {
+        let rows = source;
+        if (!Array.isArray(rows)) {
+            let text = '';
+            for await (const chunk of readText(source)) {
+                text += chunk;
+            }
+            try {
+                rows = JSON.parse(text);
+            } catch (err) {
+                throw new BadRequestError(`Import body is not valid JSON: ${err.message}`);
+            }
+        }
+        rows = Array.isArray(rows) ? rows : [rows];
+        for (let i = 0; i < rows.length; i++) {
+            yield { row: i + 1, data: mapRecord(rows[i], mapping) };
+        }
+    } else if (format === 'ndjson') {
+        let row = 0;
+        for await (const line of readLines(source)) {
+            row++;
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                yield { row: row, data: mapRecord(JSON.parse(line), mapping) };
+            } catch (err) {
+                yield { row: row, error: { message: `Invalid JSON: ${err.message}` } };
+            }
+        }
+    } else {
+        let header = null;
+        let row = 0;
+        for await (const values of readCsvRecords(source)) {
+            if (values.length === 1 && values[0] === '') {
+                continue;
+            }
+            if (!header) {
+                header = values.map(value => value.trim());
+                continue;
+            }
+            row++;
+            if (values.length !== header.length) {
+                yield { row: row, error: { message: `Expected ${header.length} columns but found ${values.length}` } };
+                continue;
+            }
+            let record = header.reduce((prev, column, index) => {
+                // Empty cells are treated as missing values
+                if (values[index] !== '') {
+                    prev[column] = values[index];
+                }
+                return prev;
+            }, {});
+            yield { row: row, data: mapRecord(record, mapping) };
+        }
+    }
+}
+
+/**
+ * Group the rows into batches
+ */
+async function* inBatches(rows, size) {
+    let batch = [];
+    for await (const row of rows) {
+        batch.push(row);
+        if (batch.length >= size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        yield batch;
+    }
+}
+
+/**
+ * Build the import result from the per-row report
+ *
+ * @param {Array<Object>} rows - Report entries as { row, status, id, error }
+ * @returns {Object} The result as { status, body, headers }
+ */
+function createImportResult(rows) {
+    let summary = {
+        total: rows.length,
+        created: rows.filter(row => row.status === 'created').length,
+        updated: rows.filter(row => row.status === 'updated').length,
+        failed: rows.filter(row => row.status === 'failed').length
+    };
+    let status = 200;
+    if (summary.failed > 0) {
+        status = summary.failed === summary.total ? 400 : 207;
+    }
+    return createResult(status, { summary: summary, rows: rows });
+}
+
+module.exports = {
+    STREAM_CONTENT_TYPES: STREAM_CONTENT_TYPES,
+    resolveImportFormat: resolveImportFormat,
+    resolveImportSource: resolveImportSource,
+    readImportRows: readImportRows,
+    inBatches: inBatches,
+    createImportResult: createImportResult
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { BadRequestError } = require('./error.utils');
+
 /**
  * MongoDB to SQL Filter Converter
  * Converts MongoDB filter syntax to SQL WHERE clause with parameterized queries
@@ -7,6 +9,9 @@
  * @example
  * const result = convertMongoFilterToSQL({ age: 25, name: '/John/' });
  * // Returns: { whereClause: 'age = ? AND name LIKE ?', parameters: [25, '%John%'] }
+ *
+ * const result = convertMongoFilterToSQL({ age: 25 }, { dialect: 'postgres' });
+ * // Returns: { whereClause: '"age" = $1', parameters: [25] }
  */
 
 /**
@@ -22,65 +27,559 @@ function isSlashPattern(value) {
 }
 
 /**
- * Convert a slash pattern to SQL LIKE pattern
- * @param {string} pattern - Pattern like "/john/"
- * @returns {string} SQL LIKE pattern like "%john%"
+ * Read a $regex value into its source and flags
+ * @param {*} regex - RegExp object, string pattern, or object with $regex and $options
+ * @returns {Object} { source, insensitive }
+ * @throws {BadRequestError} When an option other than i is given
  */
-function convertSlashPatternToLike(pattern) {
-    // Remove the leading and trailing slashes
-    const innerPattern = pattern.substring(1, pattern.length - 1);
+function readRegex(regex) {
+    let source;
+    let flags = '';
 
-    // Check if pattern starts with ^
-    const startsWithCaret = innerPattern.charAt(0) === '^';
-    // Check if pattern ends with $
-    const endsWithDollar = innerPattern.charAt(innerPattern.length - 1) === '$';
+    if (regex instanceof RegExp) {
+        source = regex.source;
+        flags = regex.flags;
+    } else if (regex !== null && typeof regex === 'object' && regex.$regex !== undefined) {
+        source = regex.$regex instanceof RegExp ? regex.$regex.source : String(regex.$regex);
+        flags = (regex.$regex instanceof RegExp ? regex.$regex.flags : '') + (regex.$options || '');
+    } else {
+        source = String(regex);
+    }
 
-    // Remove ^ from start and $ from end
-    let cleanPattern = innerPattern;
-    if (startsWithCaret) cleanPattern = cleanPattern.substring(1);
-    if (endsWithDollar) cleanPattern = cleanPattern.substring(0, cleanPattern.length - 1);
+    // g, y and u do not change which values match
+    const unsupported = flags.replace(/[iguy]/g, '');
+    if (unsupported) {
+        throw new BadRequestError(`Unsupported $regex options: ${unsupported}`);
+    }
+    return { source: source, insensitive: flags.indexOf('i') > -1 };
+}
 
-    // Build LIKE pattern
-    let likePattern = cleanPattern;
-    if (!startsWithCaret) likePattern = '%' + likePattern;
-    if (!endsWithDollar) likePattern = likePattern + '%';
+/**
+ * Read a regex source that only matches a literal text, optionally anchored with ^ and $
+ * @param {string} source - The regex source
+ * @returns {Object|null} { text, start, end }, or null when the pattern uses regex syntax
+ */
+function readLiteralRegex(source) {
+    const start = source.charAt(0) === '^';
+    const body = start ? source.substring(1) : source;
+    let end = false;
+    let text = '';
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body.charAt(i);
+        if (char === '\\') {
+            // \. is a literal dot, \d and the other letter escapes are classes
+            const next = body.charAt(i + 1);
+            if (!next || /[A-Za-z0-9]/.test(next)) {
+                return null;
+            }
+            text += next;
+            i++;
+        } else if (char === '$' && i === body.length - 1) {
+            end = true;
+        } else if ('.*+?()[]{}|^$'.indexOf(char) > -1) {
+            return null;
+        } else {
+            text += char;
+        }
+    }
+    return { text: text, start: start, end: end };
+}
 
+/**
+ * Build the LIKE pattern of a literal regex, escaping %, _ and \
+ * @param {Object} literal - { text, start, end } from readLiteralRegex
+ * @param {RegExp} special - The characters LIKE gives a meaning in the dialect
+ * @returns {string} SQL LIKE pattern like "%john%"
+ */
+function convertLiteralToLike(literal, special) {
+    let likePattern = literal.text.replace(special, '\\$&');
+    if (!literal.start) likePattern = '%' + likePattern;
+    if (!literal.end) likePattern = likePattern + '%';
     return likePattern;
 }
 
+// Letters, digits, _ and $, not starting with a digit
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+// JSON keys additionally exclude $, which has a meaning in JSON paths
+const JSON_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
 /**
- * Convert a MongoDB regex object or pattern to SQL LIKE
- * @param {*} regex - Can be RegExp object, string pattern, or object with $regex
- * @returns {string} SQL LIKE pattern
+ * Build a JSON path like $.address.city or $.tags[0]
  */
-function convertRegexToLike(regex) {
-    let pattern;
+function jsonPath(path) {
+    return '$' + path.map(segment => ARRAY_INDEX.test(segment) ? `[${segment}]` : `.${segment}`).join('');
+}
 
-    if (regex instanceof RegExp) {
-        pattern = regex.source;
-    } else if (typeof regex === 'object' && regex.$regex) {
-        pattern = regex.$regex instanceof RegExp ? regex.$regex.source : regex.$regex;
-    } else {
-        pattern = String(regex);
+const doubleQuote = name => `"${name}"`;
+const jsonValue = (column, path) => `JSON_VALUE(${column}, '${jsonPath(path)}')`;
+
+/**
+ * Cast PostgreSQL text back to the type of the value it is compared to
+ */
+function castText(text, sample) {
+    if (typeof sample === 'number') {
+        return `(${text})::numeric`;
     }
+    return typeof sample === 'boolean' ? `(${text})::boolean` : text;
+}
 
-    // Handle common regex anchors
-    const startsWithCaret = pattern.charAt(0) === '^';
-    const endsWithDollar = pattern.charAt(pattern.length - 1) === '$';
+/**
+ * EXISTS over the elements of a JSON array, with element.value as each element, for $all
+ */
+function eachValue(from, field, values, query) {
+    return values.map(value => {
+        return `EXISTS (SELECT 1 FROM ${from(field.sql)} AS elem WHERE elem.value = ${bind(query, value)})`;
+    }).join(' AND ');
+}
 
-    // Remove anchors
-    if (startsWithCaret) pattern = pattern.substring(1);
-    if (endsWithDollar) pattern = pattern.substring(0, pattern.length - 1);
+// LIKE patterns escape with \, the default escape character of MySQL and PostgreSQL
+const BACKSLASH_LIKE = { special: /[%_\\]/g, escape: '' };
+const ESCAPED_LIKE = { special: /[%_\\]/g, escape: " ESCAPE '\\'" };
 
-    // Escape SQL LIKE special characters
-    pattern = pattern.replace(/%/g, '\\%').replace(/_/g, '\\_');
+/**
+ * Placeholder style, identifier quoting and JSON path extraction per dialect.
+ * Placeholders are numbered from 1; JSON paths are only built from validated segments.
+ *
+ * `like` escapes literal patterns and `regex` matches regular expressions, dialects without it only take
+ * literal patterns. `arrays` translates the array operators. A field is { sql, json, column, path }: json is false only for
+ * native PostgreSQL arrays. `elements` describes the rows of the array for $elemMatch: the
+ * expression of an element, or of a path inside one, as compared to sample.
+ */
+const DIALECTS = {
+    mysql: {
+        placeholder: () => '?',
+        quote: name => `\`${name}\``,
+        like: BACKSLASH_LIKE,
+        // Without (?i) the collation of the column decides
+        regex: (column, pattern, insensitive) => `${column} REGEXP ${insensitive ? `CONCAT('(?i)', ${pattern})` : pattern}`,
+        // JSON_UNQUOTE turns true into 'true', booleans are compared as JSON and read as 1 or 0
+        json: (column, path, sample) => {
+            const value = `JSON_EXTRACT(${column}, '${jsonPath(path)}')`;
+            if (typeof sample === 'boolean') {
+                return `IF(JSON_TYPE(${value}) = 'BOOLEAN', ${value} = CAST('true' AS JSON), NULL)`;
+            }
+            return `JSON_UNQUOTE(${value})`;
+        },
+        arrays: {
+            value: (column, path) => `JSON_EXTRACT(${column}, '${jsonPath(path)}')`,
+            size: field => `JSON_LENGTH(${field.sql})`,
+            all: (field, values, query) => `JSON_CONTAINS(${field.sql}, ${bind(query, JSON.stringify(values))})`,
+            elements: field => ({
+                from: `JSON_TABLE(${field.sql}, '$[*]' COLUMNS (item JSON PATH '$')) AS elem`,
+                item: () => 'elem.item',
+                key: path => `JSON_EXTRACT(elem.item, '${jsonPath(path)}')`
+            }),
+            type: field => `JSON_TYPE(${field.sql})`,
+            types: {
+                string: ['STRING'],
+                number: ['INTEGER', 'UNSIGNED INTEGER', 'DOUBLE', 'DECIMAL'],
+                int: ['INTEGER', 'UNSIGNED INTEGER'],
+                double: ['DOUBLE'],
+                decimal: ['DECIMAL'],
+                bool: ['BOOLEAN'],
+                array: ['ARRAY'],
+                object: ['OBJECT'],
+                null: ['NULL']
+            }
+        }
+    },
+    sqlite: {
+        placeholder: () => '?',
+        quote: doubleQuote,
+        like: ESCAPED_LIKE,
+        json: (column, path) => `json_extract(${column}, '${jsonPath(path)}')`,
+        arrays: {
+            value: (column, path) => `json_extract(${column}, '${jsonPath(path)}')`,
+            size: field => `json_array_length(${field.sql})`,
+            all: (field, values, query) => eachValue(sql => `json_each(${sql})`, field, values, query),
+            elements: field => ({
+                from: `json_each(${field.sql}) AS elem`,
+                item: () => 'elem.value',
+                key: path => `json_extract(elem.value, '${jsonPath(path)}')`
+            }),
+            // json_extract unwraps strings, so the path is given to json_type
+            type: field => field.path.length > 0 ? `json_type(${field.column}, '${jsonPath(field.path)}')` : `json_type(${field.sql})`,
+            types: {
+                string: ['text'],
+                number: ['integer', 'real'],
+                int: ['integer'],
+                double: ['real'],
+                decimal: ['real'],
+                bool: ['true', 'false'],
+                array: ['array'],
+                object: ['object'],
+                null: ['null']
+            }
+        }
+    },
+    postgres: {
+        placeholder: index => `$${index}`,
+        quote: doubleQuote,
+        like: Object.assign({ insensitive: 'ILIKE' }, BACKSLASH_LIKE),
+        regex: (column, pattern, insensitive) => `${column} ${insensitive ? '~*' : '~'} ${pattern}`,
+        // ->> returns text, numbers and booleans are cast back for comparisons
+        json: (column, path, sample) => {
+            const steps = path.map((segment, index) => {
+                const arrow = index === path.length - 1 ? '->>' : '->';
+                return arrow + (ARRAY_INDEX.test(segment) ? segment : `'${segment}'`);
+            });
+            return castText(`${column}${steps.join('')}`, sample);
+        },
+        arrays: {
+            value: (column, path) => `${column}${path.map(segment => '->' + (ARRAY_INDEX.test(segment) ? segment : `'${segment}'`)).join('')}`,
+            size: field => field.json ? `jsonb_array_length((${field.sql})::jsonb)` : `cardinality(${field.sql})`,
+            all: (field, values, query) => field.json
+                ? `(${field.sql})::jsonb @> ${bind(query, JSON.stringify(values))}::jsonb`
+                : `${field.sql} @> ${bind(query, values)}`,
+            elements: field => field.json ? {
+                from: `jsonb_array_elements((${field.sql})::jsonb) AS elem`,
+                item: sample => castText(`elem #>> '{}'`, sample),
+                key: (path, sample) => castText(`elem #>> '{${path.join(',')}}'`, sample)
+            } : {
+                from: `unnest(${field.sql}) AS elem`,
+                item: () => 'elem',
+                key: null
+            },
+            type: field => `jsonb_typeof((${field.sql})::jsonb)`,
+            // jsonb does not tell integers from other numbers
+            types: {
+                string: ['string'],
+                number: ['number'],
+                int: ['number'],
+                double: ['number'],
+                decimal: ['number'],
+                bool: ['boolean'],
+                array: ['array'],
+                object: ['object'],
+                null: ['null']
+            }
+        }
+    },
+    oracle: {
+        placeholder: index => `:${index}`,
+        quote: doubleQuote,
+        like: ESCAPED_LIKE,
+        regex: (column, pattern, insensitive) => `REGEXP_LIKE(${column}, ${pattern}, '${insensitive ? 'i' : 'c'}')`,
+        json: jsonValue,
+        arrays: {
+            value: (column, path) => `JSON_QUERY(${column}, '${jsonPath(path)}')`,
+            size: field => `JSON_VALUE(${field.sql}, '$.size()')`
+        }
+    },
+    mssql: {
+        placeholder: index => `@p${index}`,
+        quote: name => `[${name}]`,
+        // [ starts a character range in LIKE
+        like: { special: /[%_[\\]/g, escape: " ESCAPE '\\'" },
+        json: jsonValue,
+        arrays: {
+            value: (column, path) => `JSON_QUERY(${column}, '${jsonPath(path)}')`,
+            size: field => `(SELECT COUNT(*) FROM OPENJSON(${field.sql}))`,
+            all: (field, values, query) => eachValue(sql => `OPENJSON(${sql})`, field, values, query),
+            elements: field => ({
+                from: `OPENJSON(${field.sql}) AS elem`,
+                item: () => 'elem.value',
+                key: path => `JSON_VALUE(elem.value, '${jsonPath(path)}')`
+            })
+        }
+    }
+};
+DIALECTS.mariadb = DIALECTS.mysql;
+DIALECTS.postgresql = DIALECTS.postgres;
+
+// Without a dialect: ? placeholders and unquoted identifiers, as before dialects existed
+const DEFAULT_DIALECT = {
+    placeholder: () => '?',
+    quote: name => name,
+    like: BACKSLASH_LIKE,
+    json: () => {
+        throw new BadRequestError('JSON column paths require a dialect');
+    },
+    arrays: {}
+};
 
-    // Build LIKE pattern
-    let likePattern = pattern;
-    if (!startsWithCaret) likePattern = '%' + likePattern;
-    if (!endsWithDollar) likePattern = likePattern + '%';
+/**
+ * Look up a dialect by name, undefined selects the default ? placeholders
+ * @param {string} [dialect] - mysql, mariadb, sqlite, postgres, postgresql, oracle or mssql
+ * @returns {Object} The dialect
+ */
+function resolveDialect(dialect) {
+    if (dialect === undefined || dialect === null) {
+        return DEFAULT_DIALECT;
+    }
+    if (!Object.prototype.hasOwnProperty.call(DIALECTS, dialect)) {
+        throw new Error(`Unsupported SQL dialect: ${dialect}`);
+    }
+    return DIALECTS[dialect];
+}
 
-    return likePattern;
+/**
+ * Create the state of one conversion: the dialect and the parameters bound so far
+ * @param {Object|Array} [options] - Options, or the parameters array of the legacy signature
+ * @returns {Object} The query state
+ */
+function createQuery(options) {
+    if (Array.isArray(options)) {
+        options = { parameters: options };
+    }
+    options = options || {};
+    return {
+        dialect: resolveDialect(options.dialect),
+        parameters: options.parameters || [],
+        jsonColumns: (options.jsonColumns || []).map(column => column.split('.')),
+        escape: options.escape
+    };
+}
+
+/**
+ * Add a parameter and return its placeholder, or the escaped value when the query inlines values
+ * @param {Object} query - The query state
+ * @param {*} value - The value to bind
+ * @returns {string} The placeholder, e.g. ? or $3
+ */
+function bind(query, value) {
+    if (query.escape) {
+        return query.escape(value);
+    }
+    query.parameters.push(value);
+    return query.dialect.placeholder(query.parameters.length);
+}
+
+/**
+ * Validate and quote a dotted name: column, table.column or schema.table.column
+ * @param {Object} dialect - The dialect
+ * @param {string} name - The name
+ * @returns {string} The quoted name
+ * @throws {BadRequestError} When a part of the name is not a valid identifier
+ */
+function quoteIdentifier(dialect, name) {
+    const segments = String(name).split('.');
+    segments.forEach(segment => {
+        if (!IDENTIFIER.test(segment)) {
+            throw new BadRequestError(`Invalid field name: ${name}`);
+        }
+    });
+    return segments.map(segment => dialect.quote(segment)).join('.');
+}
+
+/**
+ * Split a field name into its column and, under one of the jsonColumns, the JSON path
+ * @param {Object} query - The query state
+ * @param {string} field - The field name
+ * @returns {Object} { column, path }, path is empty outside JSON columns
+ */
+function splitField(query, field) {
+    const segments = String(field).split('.');
+    const json = query.jsonColumns
+        .filter(column => column.length < segments.length && column.every((segment, index) => segments[index] === segment))
+        .reduce((longest, column) => column.length > longest.length ? column : longest, []);
+    if (json.length === 0) {
+        return { column: String(field), path: [] };
+    }
+    const path = segments.slice(json.length);
+    path.forEach(segment => {
+        if (!JSON_KEY.test(segment) && !ARRAY_INDEX.test(segment)) {
+            throw new BadRequestError(`Invalid JSON path in field name: ${field}`);
+        }
+    });
+    return { column: json.join('.'), path: path };
+}
+
+/**
+ * Quote a field name: a column, table.column or schema.table.column, or a path into one
+ * of the jsonColumns like metadata.address.city
+ * @param {Object} query - The query state
+ * @param {string} field - The field name
+ * @param {*} [sample] - A value the field is compared to, used to cast JSON values
+ * @returns {string} The SQL expression of the field
+ * @throws {BadRequestError} When a part of the name is not a valid identifier
+ */
+function quoteField(query, field, sample) {
+    const { column, path } = splitField(query, field);
+    const quoted = quoteIdentifier(query.dialect, column);
+    return path.length > 0 ? query.dialect.json(quoted, path, sample) : quoted;
+}
+
+// MongoDB $type names and numbers, by the type they check
+const MONGO_TYPES = {
+    double: 'double', 1: 'double',
+    string: 'string', 2: 'string',
+    object: 'object', 3: 'object',
+    array: 'array', 4: 'array',
+    bool: 'bool', 8: 'bool',
+    null: 'null', 10: 'null',
+    int: 'int', 16: 'int',
+    long: 'int', 18: 'int',
+    decimal: 'decimal', 19: 'decimal',
+    number: 'number'
+};
+
+const COMPARISONS = { $eq: '=', $ne: '!=', $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+/**
+ * Resolve a field holding an array for the array operators: a JSON array in a JSON column or
+ * at a JSON path, or on PostgreSQL a native ARRAY when the field is not one of the jsonColumns
+ * @param {Object} query - The query state
+ * @param {string} field - The field name
+ * @param {string} operator - The operator, for error messages
+ * @param {string} method - The dialect function the operator needs
+ * @returns {Object} { sql, json, column, path }: the SQL of the array, the quoted column and the JSON path
+ * @throws {BadRequestError} When the dialect cannot translate the operator
+ */
+function arrayField(query, field, operator, method) {
+    if (!query.dialect.arrays[method]) {
+        throw new BadRequestError(`${operator} is not supported ${query.dialect === DEFAULT_DIALECT ? 'without a dialect' : 'on this dialect'}`);
+    }
+    const { column, path } = splitField(query, field);
+    const quoted = quoteIdentifier(query.dialect, column);
+    const json = query.dialect !== DIALECTS.postgres || path.length > 0 ||
+        query.jsonColumns.some(segments => segments.join('.') === column);
+    return { sql: path.length > 0 ? query.dialect.arrays.value(quoted, path) : quoted, json: json, column: quoted, path: path };
+}
+
+/**
+ * Compare an expression with one operator of an $elemMatch
+ * @param {Function} expression - (sample) => SQL of the compared element or element path
+ * @param {string} operator - $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin or $exists
+ * @param {*} value - The operand
+ * @param {Object} query - The query state collecting parameters
+ * @returns {string} SQL condition fragment
+ */
+function compareElement(expression, operator, value, query) {
+    if (COMPARISONS[operator]) {
+        return `${expression(value)} ${COMPARISONS[operator]} ${bind(query, value)}`;
+    }
+    if (operator === '$in' || operator === '$nin') {
+        if (!Array.isArray(value)) {
+            throw new BadRequestError(`${operator} operator requires an array value`);
+        }
+        const column = expression(value[0]);
+        return `${column} ${operator === '$in' ? 'IN' : 'NOT IN'} (${value.map(v => bind(query, v)).join(', ')})`;
+    }
+    if (operator === '$exists') {
+        return `${expression()} ${value ? 'IS NOT NULL' : 'IS NULL'}`;
+    }
+    throw new BadRequestError(`Unsupported operator in $elemMatch: ${operator}`);
+}
+
+/**
+ * Conditions of an $elemMatch on one element: operators on the element itself, like
+ * { $gte: 80 }, or conditions on its fields, like { product: 'abc', score: { $gt: 5 } }
+ */
+function elementConditions(elements, value, query) {
+    const keys = Object.keys(value);
+    if (keys.length > 0 && keys.every(key => key.charAt(0) === '$')) {
+        return keys.map(operator => compareElement(sample => elements.item(sample), operator, value[operator], query));
+    }
+    if (!elements.key) {
+        throw new BadRequestError('$elemMatch on the fields of elements requires a JSON array');
+    }
+    return keys.reduce((conditions, key) => {
+        const path = key.split('.');
+        path.forEach(segment => {
+            if (!JSON_KEY.test(segment) && !ARRAY_INDEX.test(segment)) {
+                throw new BadRequestError(`Invalid field name in $elemMatch: ${key}`);
+            }
+        });
+        const expression = sample => elements.key(path, sample);
+        const condition = value[key];
+        if (condition !== null && typeof condition === 'object' && !Array.isArray(condition) && Object.keys(condition).length > 0 &&
+            Object.keys(condition).every(operator => operator.charAt(0) === '$')) {
+            return conditions.concat(Object.keys(condition).map(operator => compareElement(expression, operator, condition[operator], query)));
+        }
+        return conditions.concat(compareElement(expression, '$eq', condition, query));
+    }, []);
+}
+
+/**
+ * Translate $all, $size, $elemMatch and $type, the operators on arrays and JSON values
+ * @param {string} field - The field name
+ * @param {string} operator - The operator
+ * @param {*} value - The operand
+ * @param {Object} query - The query state collecting parameters
+ * @returns {string} SQL condition fragment
+ */
+function processArrayOperator(field, operator, value, query) {
+    switch (operator) {
+        case '$all': {
+            if (!Array.isArray(value)) {
+                throw new BadRequestError('$all operator requires an array value');
+            }
+            if (value.length === 0) {
+                // Like MongoDB, an empty $all matches nothing
+                return '1 = 0';
+            }
+            return query.dialect.arrays.all(arrayField(query, field, operator, 'all'), value, query);
+        }
+
+        case '$size': {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new BadRequestError('$size operator requires a non-negative integer');
+            }
+            return `${query.dialect.arrays.size(arrayField(query, field, operator, 'size'))} = ${bind(query, value)}`;
+        }
+
+        case '$elemMatch': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+                throw new BadRequestError('$elemMatch operator requires an object of conditions');
+            }
+            const elements = query.dialect.arrays.elements(arrayField(query, field, operator, 'elements'));
+            return `EXISTS (SELECT 1 FROM ${elements.from} WHERE ${elementConditions(elements, value, query).join(' AND ')})`;
+        }
+
+        case '$type': {
+            const requested = Array.isArray(value) ? value : [value];
+            const arrayColumn = arrayField(query, field, operator, 'type');
+            if (!arrayColumn.json) {
+                throw new BadRequestError('$type operator is only supported on JSON columns');
+            }
+            const names = requested.reduce((list, type) => {
+                const found = query.dialect.arrays.types[MONGO_TYPES[type]];
+                if (!found) {
+                    throw new BadRequestError(`Unsupported $type: ${type}`);
+                }
+                return list.concat(found.filter(name => list.indexOf(name) === -1));
+            }, []);
+            return `${query.dialect.arrays.type(arrayColumn)} IN (${names.map(name => `'${name}'`).join(', ')})`;
+        }
+    }
+}
+
+/**
+ * Translate $regex: patterns that only match a literal text become LIKE, the others use the
+ * regular expressions of the dialect. The i option uses ILIKE or compares lower case text.
+ * @param {string} field - The field name
+ * @param {*} regex - RegExp object, string pattern, or object with $regex and $options
+ * @param {Object} query - The query state collecting parameters
+ * @returns {string} SQL condition fragment
+ * @throws {BadRequestError} When the pattern needs regular expressions and the dialect has none
+ */
+function processRegex(field, regex, query) {
+    const { source, insensitive } = readRegex(regex);
+    const column = quoteField(query, field);
+    const like = query.dialect.like;
+    const literal = readLiteralRegex(source);
+
+    if (literal) {
+        const likePattern = convertLiteralToLike(literal, like.special);
+        const escape = likePattern.indexOf('\\') > -1 ? like.escape : '';
+        if (!insensitive) {
+            return `${column} LIKE ${bind(query, likePattern)}${escape}`;
+        }
+        if (like.insensitive) {
+            return `${column} ${like.insensitive} ${bind(query, likePattern)}${escape}`;
+        }
+        return `LOWER(${column}) LIKE ${bind(query, likePattern.toLowerCase())}${escape}`;
+    }
+
+    if (!query.dialect.regex) {
+        throw new BadRequestError(query.dialect === DEFAULT_DIALECT
+            ? 'Regular expressions require a dialect, only literal patterns are translated without one'
+            : 'Regular expressions are not supported by this SQL dialect, only literal patterns');
+    }
+    return query.dialect.regex(column, bind(query, source), insensitive);
 }
 
 /**
@@ -88,67 +587,73 @@ function convertRegexToLike(regex) {
  * @param {string} field - The field name
  * @param {string} operator - MongoDB operator (e.g., '$eq', '$gt')
  * @param {*} value - The value for the operator
- * @param {Array} parameters - Array to collect parameters
+ * @param {Object} query - The query state collecting parameters
  * @returns {string} SQL condition fragment
  */
-function processOperator(field, operator, value, parameters) {
+function processOperator(field, operator, value, query) {
     switch (operator) {
         case '$eq':
-            parameters.push(value);
-            return `${field} = ?`;
+            if (value === null) {
+                return `${quoteField(query, field)} IS NULL`;
+            }
+            return `${quoteField(query, field, value)} = ${bind(query, value)}`;
 
         case '$ne':
-            parameters.push(value);
-            return `${field} != ?`;
+            if (value === null) {
+                return `${quoteField(query, field)} IS NOT NULL`;
+            }
+            return `${quoteField(query, field, value)} != ${bind(query, value)}`;
 
         case '$gt':
-            parameters.push(value);
-            return `${field} > ?`;
+            return `${quoteField(query, field, value)} > ${bind(query, value)}`;
 
         case '$gte':
-            parameters.push(value);
-            return `${field} >= ?`;
+            return `${quoteField(query, field, value)} >= ${bind(query, value)}`;
 
         case '$lt':
-            parameters.push(value);
-            return `${field} < ?`;
+            return `${quoteField(query, field, value)} < ${bind(query, value)}`;
 
         case '$lte':
-            parameters.push(value);
-            return `${field} <= ?`;
+            return `${quoteField(query, field, value)} <= ${bind(query, value)}`;
 
         case '$in':
             if (!Array.isArray(value)) {
-                throw new Error('$in operator requires an array value');
+                throw new BadRequestError('$in operator requires an array value');
             }
-            const inPlaceholders = value.map(v => {
-                parameters.push(v);
-                return '?';
-            }).join(', ');
-            return `${field} IN (${inPlaceholders})`;
+            const inColumn = quoteField(query, field, value[0]);
+            const inPlaceholders = value.map(v => bind(query, v)).join(', ');
+            return `${inColumn} IN (${inPlaceholders})`;
 
         case '$nin':
             if (!Array.isArray(value)) {
-                throw new Error('$nin operator requires an array value');
+                throw new BadRequestError('$nin operator requires an array value');
             }
-            const ninPlaceholders = value.map(v => {
-                parameters.push(v);
-                return '?';
-            }).join(', ');
-            return `${field} NOT IN (${ninPlaceholders})`;
+            const ninColumn = quoteField(query, field, value[0]);
+            const ninPlaceholders = value.map(v => bind(query, v)).join(', ');
+            return `${ninColumn} NOT IN (${ninPlaceholders})`;
 
         case '$regex':
-            const likePattern = convertRegexToLike(value);
-            parameters.push(likePattern);
-            return `${field} LIKE ?`;
+            return processRegex(field, value, query);
+
+        case '$options':
+            throw new BadRequestError('$options operator requires $regex');
 
         case '$not':
             // $not wraps another condition
-            const notCondition = processFieldValue(field, value, parameters);
+            const notCondition = processFieldValue(field, value, query);
             return `NOT (${notCondition})`;
 
+        case '$exists':
+            return `${quoteField(query, field)} ${value ? 'IS NOT NULL' : 'IS NULL'}`;
+
+        case '$all':
+        case '$size':
+        case '$elemMatch':
+        case '$type':
+            return processArrayOperator(field, operator, value, query);
+
         default:
-            throw new Error(`Unsupported MongoDB operator: ${operator}`);
+            throw new BadRequestError(`Unsupported MongoDB operator: ${operator}`);
     }
 }
 
@@ -156,15 +661,17 @@ function processOperator(field, operator, value, parameters) {
  * Process a field and its value/condition
  * @param {string} field - The field name
  * @param {*} value - The value or condition object
- * @param {Array} parameters - Array to collect parameters
+ * @param {Object} query - The query state collecting parameters
  * @returns {string} SQL condition fragment
  */
-function processFieldValue(field, value, parameters) {
+function processFieldValue(field, value, query) {
     // Check if value is wrapped in slashes (like "/pattern/")
     if (isSlashPattern(value)) {
-        const likePattern = convertSlashPatternToLike(value);
-        parameters.push(likePattern);
-        return `${field} LIKE ?`;
+        return processRegex(field, value.substring(1, value.length - 1), query);
+    }
+
+    if (value instanceof RegExp) {
+        return processRegex(field, value, query);
     }
 
     // If value is an object, it might contain operators
@@ -173,9 +680,11 @@ function processFieldValue(field, value, parameters) {
 
         // Check if this is an operator object
         if (keys.length > 0 && keys[0].charAt(0) === '$') {
-            // Process each operator
-            const conditions = keys.map(operator => {
-                return processOperator(field, operator, value[operator], parameters);
+            // Process each operator, $options goes with $regex
+            const operators = value.$regex !== undefined ? keys.filter(operator => operator !== '$options') : keys;
+            const conditions = operators.map(operator => {
+                const operand = operator === '$regex' ? { $regex: value.$regex, $options: value.$options } : value[operator];
+                return processOperator(field, operator, operand, query);
             });
 
             // If multiple operators on same field, combine with AND
@@ -183,73 +692,46 @@ function processFieldValue(field, value, parameters) {
         }
     }
 
-    // Simple equality
-    parameters.push(value);
-    return `${field} = ?`;
+    // Simple equality, null matches missing values as in MongoDB
+    return processOperator(field, '$eq', value, query);
 }
 
 /**
- * Convert MongoDB filter to SQL WHERE clause
+ * Convert the conditions of a filter, binding their values to the query
  * @param {Object} filter - MongoDB filter object
- * @param {Array} parameters - Array to collect parameters (optional, used internally)
- * @returns {Object} Object with whereClause and parameters
+ * @param {Object} query - The query state collecting parameters
+ * @returns {string} The WHERE clause, empty without conditions
  */
-function convertMongoFilterToSQL(filter, parameters = []) {
+function convertFilter(filter, query) {
     if (!filter || typeof filter !== 'object') {
-        return { whereClause: '', parameters: [] };
-    }
-
-    const keys = Object.keys(filter);
-
-    if (keys.length === 0) {
-        return { whereClause: '', parameters: [] };
+        return '';
     }
 
     const conditions = [];
 
-    for (const key of keys) {
+    for (const key of Object.keys(filter)) {
         const value = filter[key];
 
         // Handle logical operators
-        if (key === '$and') {
-            if (!Array.isArray(value)) {
-                throw new Error('$and operator requires an array');
-            }
-            const andConditions = value.map(subFilter => {
-                const subResult = convertMongoFilterToSQL(subFilter, parameters);
-                return subResult.whereClause;
-            }).filter(c => c); // Remove empty conditions
-
-            if (andConditions.length > 0) {
-                conditions.push(`(${andConditions.join(' AND ')})`);
-            }
-        } else if (key === '$or') {
+        if (key === '$and' || key === '$or' || key === '$nor') {
             if (!Array.isArray(value)) {
-                throw new Error('$or operator requires an array');
+                throw new BadRequestError(`${key} operator requires an array`);
             }
-            const orConditions = value.map(subFilter => {
-                const subResult = convertMongoFilterToSQL(subFilter, parameters);
-                return subResult.whereClause;
-            }).filter(c => c); // Remove empty conditions
-
-            if (orConditions.length > 0) {
-                conditions.push(`(${orConditions.join(' OR ')})`);
-            }
-        } else if (key === '$nor') {
-            if (!Array.isArray(value)) {
-                throw new Error('$nor operator requires an array');
-            }
-            const norConditions = value.map(subFilter => {
-                const subResult = convertMongoFilterToSQL(subFilter, parameters);
-                return subResult.whereClause;
-            }).filter(c => c); // Remove empty conditions
-
-            if (norConditions.length > 0) {
-                conditions.push(`NOT (${norConditions.join(' OR ')})`);
+            const subConditions = value.map(subFilter => convertFilter(subFilter, query))
+                .filter(c => c); // Remove empty conditions
+
+            if (subConditions.length > 0) {
+                if (key === '$and') {
+                    conditions.push(`(${subConditions.join(' AND ')})`);
+                } else if (key === '$or') {
+                    conditions.push(`(${subConditions.join(' OR ')})`);
+                } else {
+                    conditions.push(`NOT (${subConditions.join(' OR ')})`);
+                }
             }
         } else {
             // Regular field
-            const condition = processFieldValue(key, value, parameters);
+            const condition = processFieldValue(key, value, query);
             if (condition) {
                 conditions.push(condition);
             }
@@ -257,16 +739,133 @@ function convertMongoFilterToSQL(filter, parameters = []) {
     }
 
     // Combine all conditions with AND
-    const whereClause = conditions.length > 1
+    return conditions.length > 1
         ? conditions.join(' AND ')
         : conditions[0] || '';
+}
 
+/**
+ * Convert MongoDB filter to SQL WHERE clause
+ * @param {Object} filter - MongoDB filter object
+ * @param {Object|Array} [options] - Conversion options, or the array to collect parameters in
+ * @param {string} [options.dialect] - mysql, mariadb, sqlite, postgres, oracle or mssql: selects the
+ *   placeholder style (?, $1, :1, @p1) and quotes identifiers. Without it placeholders are ? and
+ *   identifiers are left unquoted; they are validated either way.
+ * @param {Array<string>} [options.jsonColumns] - JSON columns whose dotted fields are JSON paths
+ * @param {Array} [options.parameters] - Array to collect parameters in, placeholders continue its numbering
+ * @param {Function} [options.escape] - Inline the values as escaped by this function instead of binding them
+ * @returns {Object} Object with whereClause and parameters
+ * @throws {BadRequestError} When the filter is malformed or a field name is not a valid identifier
+ */
+function convertMongoFilterToSQL(filter, options) {
+    const query = createQuery(options);
     return {
-        whereClause,
-        parameters
+        whereClause: convertFilter(filter, query),
+        parameters: query.parameters
+    };
+}
+
+/**
+ * Read a non-negative integer paging value, undefined, null and -1 meaning none
+ */
+function readPaging(name, value) {
+    if (value === undefined || value === null || value === -1) {
+        return null;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+        throw new BadRequestError(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Build the paging clause: LIMIT/OFFSET, or OFFSET ... FETCH NEXT on Oracle and MSSQL
+ */
+function buildPaging(dialect, skip, limit) {
+    if (skip === null && limit === null) {
+        return '';
+    }
+    if (dialect === DIALECTS.oracle || dialect === DIALECTS.mssql) {
+        const fetch = limit === null ? '' : ` FETCH NEXT ${limit} ROWS ONLY`;
+        return ` OFFSET ${skip || 0} ROWS${fetch}`;
+    }
+    if (limit === null) {
+        // MySQL and SQLite only accept OFFSET after a LIMIT
+        if (dialect === DIALECTS.mysql) {
+            return ` LIMIT 18446744073709551615 OFFSET ${skip}`;
+        }
+        return dialect === DIALECTS.sqlite ? ` LIMIT -1 OFFSET ${skip}` : ` OFFSET ${skip}`;
+    }
+    return skip ? ` LIMIT ${limit} OFFSET ${skip}` : ` LIMIT ${limit}`;
+}
+
+/**
+ * Build a SELECT statement from a MongoDB style query, with the same operator translation,
+ * placeholders and quoting as convertMongoFilterToSQL
+ *
+ * @example
+ * buildSelectSQL({ table: 'users', filter: { age: { $gte: 18 } }, sort: { age: -1 }, limit: 10, dialect: 'postgres' });
+ * // Returns: { sql: 'SELECT * FROM "users" WHERE "age" >= $1 ORDER BY "age" DESC LIMIT 10', parameters: [18] }
+ *
+ * @param {Object} query - The query
+ * @param {string} query.table - Table name, optionally schema.table
+ * @param {Object} [query.filter] - MongoDB filter object
+ * @param {Array<string>|string} [query.select] - Fields to return, an array or a comma separated list. All fields by default
+ * @param {Object} [query.sort] - Sort like { age: -1, name: 1 }, directions 1/-1 or 'asc'/'desc'
+ * @param {number} [query.skip] - Rows to skip
+ * @param {number} [query.limit] - Rows to return, -1 for no limit
+ * @param {boolean} [query.count] - Also build the COUNT(*) statements of the matched and of all rows
+ * @param {string} [query.dialect] - SQL dialect, see convertMongoFilterToSQL
+ * @param {Array<string>} [query.jsonColumns] - JSON columns whose dotted fields are JSON paths
+ * @returns {Object} { sql, parameters }, plus { countSQL, countParameters, totalCountSQL } with count
+ * @throws {BadRequestError} When the filter, a field name or a paging value is invalid
+ */
+function buildSelectSQL({ table, filter, select, sort, skip, limit, count, dialect, jsonColumns } = {}) {
+    const query = createQuery({ dialect: dialect, jsonColumns: jsonColumns });
+    if (!table) {
+        throw new BadRequestError('A table is required');
+    }
+    const from = `FROM ${quoteIdentifier(query.dialect, table)}`;
+
+    const fields = typeof select === 'string' ? select.split(',').map(field => field.trim()).filter(field => field) : (select || []);
+    const columns = fields.map(field => {
+        const column = quoteField(query, field);
+        // JSON paths are returned under the dotted name
+        return splitField(query, field).path.length > 0 ? `${column} AS ${query.dialect.quote(field)}` : column;
+    });
+
+    const whereClause = convertFilter(filter, query);
+    const where = whereClause ? ` WHERE ${whereClause}` : '';
+
+    const order = Object.entries(sort || {}).map(([field, dir]) => {
+        const direction = (dir === 1 || dir === 'asc' || dir === 'ASC') ? 'ASC' : 'DESC';
+        return `${quoteField(query, field)} ${direction}`;
+    });
+    const offset = readPaging('skip', skip);
+    const rows = readPaging('limit', limit);
+    let orderBy = order.length > 0 ? ` ORDER BY ${order.join(', ')}` : '';
+    if (!orderBy && query.dialect === DIALECTS.mssql && (offset !== null || rows !== null)) {
+        // OFFSET ... FETCH requires an ORDER BY on MSSQL
+        orderBy = ' ORDER BY (SELECT NULL)';
+    }
+
+    const result = {
+        sql: `SELECT ${columns.length > 0 ? columns.join(', ') : '*'} ${from}${where}${orderBy}${buildPaging(query.dialect, offset, rows)}`,
+        parameters: query.parameters
     };
+    if (count) {
+        const alias = query.dialect.quote('count');
+        result.countSQL = `SELECT COUNT(*) AS ${alias} ${from}${where}`;
+        result.countParameters = query.parameters.slice();
+        result.totalCountSQL = `SELECT COUNT(*) AS ${alias} ${from}`;
+    }
+    return result;
 }
 
 module.exports = {
-    convertMongoFilterToSQL
+    convertMongoFilterToSQL,
+    buildSelectSQL,
+    readRegex,
+    readLiteralRegex,
+    convertLiteralToLike
 };
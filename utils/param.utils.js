@@ -1,3 +1,199 @@
+const { BadRequestError } = require('./error.utils');
+
+const OBJECT_PARAMS = ['filter', 'mapping'];
+const BOOLEAN_PARAMS = ['metadata', 'lean', 'upsert', 'includeDeleted', 'onlyDeleted', 'atomic', 'fast', 'bulkInsert'];
+const INTEGER_PARAMS = ['limit', 'skip', 'batchSize'];
+
+/**
+ * Read a single scalar query value, rejecting repeated parameters
+ * 
+ * @param {string} name - The parameter name
+ * @param {*} value - The raw value
+ * @returns {*} The scalar value
+ */
+function single(name, value) {
+    if (Array.isArray(value)) {
+        throw new BadRequestError(`Parameter "${name}" must be provided only once`);
+    }
+    return value;
+}
+
+/**
+ * Decode a JSON encoded query value
+ * 
+ * @param {string} name - The parameter name
+ * @param {string} value - The raw value
+ * @returns {*} The decoded value
+ */
+function parseJSON(name, value) {
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        throw new BadRequestError(`Parameter "${name}" is not valid JSON: ${err.message}`);
+    }
+}
+
+/**
+ * Split a comma separated list, also accepting a JSON array or repeated parameters
+ * 
+ * @param {string} name - The parameter name
+ * @param {string|Array} value - The raw value
+ * @returns {Array} The list of values
+ */
+function parseList(name, value) {
+    if (Array.isArray(value)) {
+        return value.reduce((prev, curr) => prev.concat(parseList(name, curr)), []);
+    }
+    if (typeof value !== 'string') {
+        return [value];
+    }
+    if (value.trim().charAt(0) === '[') {
+        let list = parseJSON(name, value);
+        if (!Array.isArray(list)) {
+            throw new BadRequestError(`Parameter "${name}" must be a JSON array or a comma separated list`);
+        }
+        return list;
+    }
+    return value.split(',').map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * Decode a JSON object query value, an empty value being an empty object
+ * 
+ * @param {string} name - The parameter name
+ * @param {string|Object} value - The raw value
+ * @returns {Object} The decoded object
+ */
+function parseObject(name, value) {
+    let object = single(name, value);
+    if (typeof object === 'string') {
+        object = object.trim() ? parseJSON(name, object) : {};
+    }
+    if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+        throw new BadRequestError(`Parameter "${name}" must be a JSON object`);
+    }
+    return object;
+}
+
+/**
+ * Parse an integer query value, checking the range of skip, limit and batchSize
+ * 
+ * @param {string} name - The parameter name
+ * @param {string|number} value - The raw value
+ * @returns {number} The integer value
+ */
+function parseInteger(name, value) {
+    let raw = single(name, value);
+    if (typeof raw === 'number' && Number.isInteger(raw)) {
+        return raw;
+    }
+    if (typeof raw !== 'string' || !/^-?\d+$/.test(raw.trim())) {
+        throw new BadRequestError(`Parameter "${name}" must be an integer`);
+    }
+    let number = parseInt(raw, 10);
+    if (name === 'skip' && number < 0) {
+        throw new BadRequestError('Parameter "skip" must not be negative');
+    }
+    if (name === 'limit' && number < -1) {
+        throw new BadRequestError('Parameter "limit" must be -1 or greater');
+    }
+    if (name === 'batchSize' && number < 1) {
+        throw new BadRequestError('Parameter "batchSize" must be a positive integer');
+    }
+    return number;
+}
+
+/**
+ * Parse a boolean query value: true, 1 or an empty value, false or 0
+ * 
+ * @param {string} name - The parameter name
+ * @param {string|boolean} value - The raw value
+ * @returns {boolean} The boolean value
+ */
+function parseBoolean(name, value) {
+    let raw = single(name, value);
+    if (typeof raw === 'boolean') {
+        return raw;
+    }
+    switch (String(raw).trim().toLowerCase()) {
+        case 'true':
+        case '1':
+        case '':
+            return true;
+        case 'false':
+        case '0':
+            return false;
+        default:
+            throw new BadRequestError(`Parameter "${name}" must be true or false`);
+    }
+}
+
+/**
+ * Parse a sort expression like "-age,name" into { age: -1, name: 1 }
+ * 
+ * @param {string|Object} value - The raw sort value
+ * @returns {Object} The sort object
+ */
+function parseSort(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim().charAt(0) === '{') {
+        let sort = parseJSON('sort', value);
+        if (!sort || typeof sort !== 'object' || Array.isArray(sort)) {
+            throw new BadRequestError('Parameter "sort" must be a JSON object or a comma separated list');
+        }
+        return sort;
+    }
+    return parseList('sort', value).reduce((prev, curr) => {
+        let field = String(curr);
+        let direction = 1;
+        if (field.charAt(0) === '-' || field.charAt(0) === '+') {
+            direction = field.charAt(0) === '-' ? -1 : 1;
+            field = field.substring(1);
+        }
+        if (!field) {
+            throw new BadRequestError('Parameter "sort" contains an empty field name');
+        }
+        prev[field] = direction;
+        return prev;
+    }, {});
+}
+
+/**
+ * Coerce raw query string values into the typed parameters the crudders expect
+ * 
+ * @param {Object} params - The raw parameters
+ * @returns {Object} The normalized parameters
+ */
+function normalizeParams(params) {
+    OBJECT_PARAMS.forEach(name => {
+        if (params[name] !== undefined) {
+            params[name] = parseObject(name, params[name]);
+        }
+    });
+    INTEGER_PARAMS.forEach(name => {
+        if (params[name] !== undefined) {
+            params[name] = parseInteger(name, params[name]);
+        }
+    });
+    BOOLEAN_PARAMS.forEach(name => {
+        if (params[name] !== undefined) {
+            params[name] = parseBoolean(name, params[name]);
+        }
+    });
+    if (params.select !== undefined) {
+        params.select = parseList('select', params.select);
+    }
+    if (params.sort !== undefined) {
+        params.sort = parseSort(params.sort);
+    }
+    if (params.ids !== undefined) {
+        params.ids = parseList('ids', params.ids);
+    }
+    return params;
+}
+
 
 /**
  * Parse the request parameters
@@ -41,8 +237,11 @@ function parseParams(req) {
             params[key] = req.params[key];
         });
         params['data'] = req.body;
-        return params;
+        return normalizeParams(params);
     }
 };
 
-module.exports = { parseParams: parseParams };
+module.exports = {
+    parseParams: parseParams,
+    normalizeParams: normalizeParams
+};
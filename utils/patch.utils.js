@@ -0,0 +1,202 @@
+'use strict';
+
+const _ = require('lodash');
+const { BadRequestError, ConflictError, UnprocessableEntityError } = require('./error.utils');
+
+const PATCH_CONTENT_TYPE = 'application/json-patch+json';
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Read the JSON Patch (RFC 6902) of an update sent as application/json-patch+json
+ *
+ * @param {*} data - The request body, parsed or raw
+ * @param {Object} [headers] - Request headers
+ * @returns {Array<Object>|null} The patch operations, or null for other content types
+ * @throws {BadRequestError} When the body is not a well formed list of operations
+ */
+function readJsonPatch(data, headers) {
+    let contentType = ((headers && headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== PATCH_CONTENT_TYPE) {
+        return null;
+    }
+    if (typeof data === 'string' || Buffer.isBuffer(data)) {
+        try {
+            data = JSON.parse(data.toString());
+        } catch (err) {
+            throw new BadRequestError(`JSON Patch is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!Array.isArray(data)) {
+        throw new BadRequestError('A JSON Patch must be an array of operations');
+    }
+    data.forEach((operation, index) => {
+        if (!_.isPlainObject(operation) || PATCH_OPERATIONS.indexOf(operation.op) === -1) {
+            throw new BadRequestError(`Patch operation ${index} has an invalid "op"`);
+        }
+        if (typeof operation.path !== 'string') {
+            throw new BadRequestError(`Patch operation ${index} is missing "path"`);
+        }
+        if ((operation.op === 'move' || operation.op === 'copy') && typeof operation.from !== 'string') {
+            throw new BadRequestError(`Patch operation ${index} is missing "from"`);
+        }
+        if (['add', 'replace', 'test'].indexOf(operation.op) > -1 && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+            throw new BadRequestError(`Patch operation ${index} is missing "value"`);
+        }
+    });
+    return data;
+}
+
+/**
+ * Read the body of an update by id: the JSON Patch of an application/json-patch+json request,
+ * or else the document or update operators to merge
+ *
+ * @param {*} data - The request body
+ * @param {Object} [headers] - Request headers
+ * @returns {Array<Object>|Object} The patch operations or the body
+ * @throws {BadRequestError} When the patch is malformed, or an array is sent with another content type
+ */
+function readUpdateBody(data, headers) {
+    let patch = readJsonPatch(data, headers);
+    if (patch) {
+        return patch;
+    }
+    if (Array.isArray(data)) {
+        throw new BadRequestError(`An array body is only accepted as a JSON Patch sent as ${PATCH_CONTENT_TYPE}`);
+    }
+    return data;
+}
+
+function parsePointer(pointer) {
+    if (pointer === '') {
+        return [];
+    }
+    if (pointer.charAt(0) !== '/') {
+        throw new UnprocessableEntityError(`Invalid JSON Pointer "${pointer}"`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isIndex(token) {
+    return /^(0|[1-9][0-9]*)$/.test(token);
+}
+
+/**
+ * Walk to the container of the last token. The document sits under a holder key,
+ * so operations on the root ("") work like any other member.
+ */
+function resolve(holder, pointer) {
+    let tokens = ['root'].concat(parsePointer(pointer));
+    let parent = holder;
+    tokens.slice(0, -1).forEach(token => {
+        if (Array.isArray(parent) && isIndex(token) && Number(token) < parent.length) {
+            parent = parent[Number(token)];
+        } else if (_.isPlainObject(parent) && Object.prototype.hasOwnProperty.call(parent, token)) {
+            parent = parent[token];
+        } else {
+            throw new UnprocessableEntityError(`Path "${pointer}" does not exist`);
+        }
+    });
+    let key = tokens[tokens.length - 1];
+    if (!Array.isArray(parent) && !_.isPlainObject(parent)) {
+        throw new UnprocessableEntityError(`Path "${pointer}" does not exist`);
+    }
+    return { parent: parent, key: key };
+}
+
+function exists(parent, key) {
+    if (Array.isArray(parent)) {
+        return isIndex(key) && Number(key) < parent.length;
+    }
+    return Object.prototype.hasOwnProperty.call(parent, key);
+}
+
+function getValue(holder, pointer) {
+    let { parent, key } = resolve(holder, pointer);
+    if (!exists(parent, key)) {
+        throw new UnprocessableEntityError(`Path "${pointer}" does not exist`);
+    }
+    return parent[key];
+}
+
+function addValue(holder, pointer, value) {
+    let { parent, key } = resolve(holder, pointer);
+    if (!Array.isArray(parent)) {
+        parent[key] = value;
+    } else if (key === '-') {
+        parent.push(value);
+    } else if (isIndex(key) && Number(key) <= parent.length) {
+        parent.splice(Number(key), 0, value);
+    } else {
+        throw new UnprocessableEntityError(`Path "${pointer}" is not a valid array index`);
+    }
+}
+
+function removeValue(holder, pointer) {
+    let { parent, key } = resolve(holder, pointer);
+    if (!exists(parent, key)) {
+        throw new UnprocessableEntityError(`Path "${pointer}" does not exist`);
+    }
+    let value = parent[key];
+    if (Array.isArray(parent)) {
+        parent.splice(Number(key), 1);
+    } else {
+        delete parent[key];
+    }
+    return value;
+}
+
+/**
+ * Apply a JSON Patch to a plain document. Either every operation applies or the document is left as it was.
+ *
+ * @param {Object} document - Plain JSON document
+ * @param {Array<Object>} patch - The operations, as returned by readJsonPatch
+ * @returns {Object} The patched copy of the document
+ * @throws {ConflictError} When a test operation does not match
+ * @throws {UnprocessableEntityError} When a path does not exist or the result is not an object
+ */
+function applyJsonPatch(document, patch) {
+    let holder = { root: _.cloneDeep(document) };
+    patch.forEach(operation => {
+        switch (operation.op) {
+            case 'add':
+                addValue(holder, operation.path, _.cloneDeep(operation.value));
+                break;
+            case 'remove':
+                removeValue(holder, operation.path);
+                break;
+            case 'replace': {
+                let { parent, key } = resolve(holder, operation.path);
+                if (!exists(parent, key)) {
+                    throw new UnprocessableEntityError(`Path "${operation.path}" does not exist`);
+                }
+                parent[key] = _.cloneDeep(operation.value);
+                break;
+            }
+            case 'move':
+                if (operation.path.indexOf(operation.from + '/') === 0) {
+                    throw new UnprocessableEntityError(`Cannot move "${operation.from}" into one of its children`);
+                }
+                addValue(holder, operation.path, removeValue(holder, operation.from));
+                break;
+            case 'copy':
+                addValue(holder, operation.path, _.cloneDeep(getValue(holder, operation.from)));
+                break;
+            case 'test':
+                if (!_.isEqual(getValue(holder, operation.path), operation.value)) {
+                    throw new ConflictError(`JSON Patch test failed at "${operation.path}"`);
+                }
+                break;
+        }
+    });
+    if (!_.isPlainObject(holder.root)) {
+        throw new UnprocessableEntityError('A JSON Patch must leave the document an object');
+    }
+    return holder.root;
+}
+
+module.exports = {
+    PATCH_CONTENT_TYPE: PATCH_CONTENT_TYPE,
+    readJsonPatch: readJsonPatch,
+    readUpdateBody: readUpdateBody,
+    applyJsonPatch: applyJsonPatch
+};
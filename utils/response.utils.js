@@ -0,0 +1,138 @@
+'use strict';
+
+const { Readable, pipeline } = require('stream');
+const { serializeError, createProblem, RolledBackError } = require('./error.utils');
+
+/**
+ * Build a service result
+ * 
+ * @param {number} status - HTTP status code
+ * @param {*} body - Response body
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} The result as { status, body, headers }
+ */
+function createResult(status, body, headers) {
+    return { status: status, body: body, headers: headers || {} };
+}
+
+/**
+ * Build an `application/problem+json` result for a failed operation
+ * 
+ * @param {Error} err - The error
+ * @param {Object} [options] - Adapter options, `mapError` customizes the classification
+ * @param {string} [instance] - URI of the request that failed
+ * @returns {Object} The result as { status, body, headers }
+ */
+function createErrorResult(err, options, instance) {
+    let body = createProblem(err, options && options.mapError, instance);
+    return createResult(body.status, body, { 'Content-Type': 'application/problem+json' });
+}
+
+/**
+ * Build the result of a multi-document operation from the per-item outcomes.
+ * The body lists every input item, so clients can retry exactly the failed ones:
+ * { summary: { total, succeeded, failed }, results: [{ index, id, status, data | error }] }
+ * 
+ * @param {Array<Object>} results - Outcomes as { index, id, status, data } or { index, id, status, error }
+ * @param {boolean} isArray - Whether the input was an array; a single item answers with its data or problem details alone
+ * @param {Object} [options] - Adapter options, `mapError` customizes the problem details of a single item
+ * @returns {Object} The result as { status, body, headers }
+ */
+function createBulkResult(results, isArray, options) {
+    if (!isArray && results.length === 1) {
+        return results[0].error ? createErrorResult(results[0].error, options) : createResult(results[0].status, results[0].data);
+    }
+    let items = results.map(result => {
+        let item = { index: result.index, id: result.id === undefined ? null : result.id, status: result.status };
+        if (result.error) {
+            item.error = serializeError(result.error);
+        } else {
+            item.data = result.data;
+        }
+        return item;
+    });
+    let failed = items.filter(item => item.status >= 400);
+    let status = 200;
+    if (failed.length > 0 && failed.length < items.length) {
+        status = 207;
+    } else if (failed.length > 0) {
+        // Everything failed: keep the items' status when they agree
+        status = failed.every(item => item.status === failed[0].status) ? failed[0].status : 400;
+    }
+    return createResult(status, {
+        summary: { total: items.length, succeeded: items.length - failed.length, failed: failed.length },
+        results: items
+    });
+}
+
+/**
+ * Build the result of an atomic multi-document write that was rolled back.
+ * An atomic write stops at the first failed item: that item keeps its status, which becomes
+ * the response status, and the items written before it are reported as 424 since their changes were undone.
+ * 
+ * @param {Array<Object>} results - Outcomes up to and including the failed item
+ * @param {number} total - Number of items the write was asked to change
+ * @param {Object} [options] - Adapter options
+ * @returns {Object} The result as { status, body, headers }
+ */
+function createRollbackResult(results, total, options) {
+    let cause = results.find(result => result.error);
+    let items = results.map(result => result.error ? result : {
+        index: result.index,
+        id: result.id,
+        status: 424,
+        error: new RolledBackError(`Rolled back because the item at index ${cause.index} failed`)
+    });
+    let result = createBulkResult(items, true, options);
+    result.status = cause.status;
+    result.body.summary = { total: Math.max(total, items.length), succeeded: 0, failed: Math.max(total, items.length) };
+    result.body.rolledBack = true;
+    return result;
+}
+
+/**
+ * Build the service context for an Express style request
+ * 
+ * @param {Object} req - The request object
+ * @returns {Object} The context as { req, headers }
+ */
+function createContext(req) {
+    return { req: req, headers: req.headers || {} };
+}
+
+/**
+ * Write a service result to an Express style response.
+ * Stream bodies are piped; the response is destroyed if the stream fails midway.
+ * 
+ * @param {Object} res - The response object
+ * @param {Object} result - The result as { status, body, headers }
+ * @param {Function} [onStreamError] - Called with the error when a stream body fails
+ */
+function sendResult(res, result, onStreamError) {
+    res.status(result.status);
+    if (result.headers && Object.keys(result.headers).length > 0 && typeof res.set === 'function') {
+        res.set(result.headers);
+    }
+    if (result.status === 304 && typeof res.end === 'function') {
+        res.end();
+        return;
+    }
+    if (result.body instanceof Readable) {
+        pipeline(result.body, res, (err) => {
+            if (err && onStreamError) {
+                onStreamError(err);
+            }
+        });
+        return;
+    }
+    res.json(result.body);
+}
+
+module.exports = {
+    createResult: createResult,
+    createBulkResult: createBulkResult,
+    createRollbackResult: createRollbackResult,
+    createErrorResult: createErrorResult,
+    createContext: createContext,
+    sendResult: sendResult
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Conventional REST routes for the crudder operations.
+ * Static paths are listed before the `/:id` routes so they are matched first.
+ */
+const ROUTES = [
+    { operation: 'count', method: 'get', path: '/utils/count' },
+    { operation: 'bulkShowByIds', method: 'get', path: '/utils/bulkShow' },
+    { operation: 'bulkUpdateByIds', method: 'put', path: '/utils/bulkUpdate' },
+    { operation: 'bulkUpdateByIds', method: 'patch', path: '/utils/bulkUpdate' },
+    { operation: 'bulkDeleteByIds', method: 'delete', path: '/utils/bulkDelete' },
+    { operation: 'export', method: 'get', path: '/utils/export' },
+    { operation: 'import', method: 'post', path: '/utils/import' },
+    { operation: 'restoreByFilter', method: 'post', path: '/utils/restore' },
+    { operation: 'purge', method: 'delete', path: '/utils/purge' },
+    { operation: 'find', method: 'get', path: '/' },
+    { operation: 'create', method: 'post', path: '/' },
+    { operation: 'updateByFilter', method: 'put', path: '/' },
+    { operation: 'deleteByFilter', method: 'delete', path: '/' },
+    { operation: 'findById', method: 'get', path: '/:id' },
+    { operation: 'updateById', method: 'put', path: '/:id' },
+    { operation: 'updateById', method: 'patch', path: '/:id' },
+    { operation: 'deleteById', method: 'delete', path: '/:id' },
+    { operation: 'replaceById', method: 'put', path: '/:id/replace' },
+    { operation: 'restoreById', method: 'post', path: '/:id/restore' }
+];
+
+/**
+ * Resolve the routes to mount, applying the router options
+ * 
+ * @param {Object} options - Router options
+ * @param {Array<string>} [options.disable] - Operations that should not be mounted
+ * @param {Object} [options.middleware] - Middleware per operation, `*` applies to every route
+ * @returns {Array<Object>} Routes with their middleware list
+ */
+function resolveRoutes(options) {
+    options = options || {};
+    const disabled = options.disable || [];
+    const middleware = options.middleware || {};
+    const toList = (value) => value ? [].concat(value) : [];
+
+    disabled.forEach(operation => {
+        if (!ROUTES.some(route => route.operation === operation)) {
+            throw new Error(`Unknown crudder operation: ${operation}`);
+        }
+    });
+
+    return ROUTES
+        .filter(route => disabled.indexOf(route.operation) === -1)
+        .map(route => Object.assign({}, route, {
+            middleware: toList(middleware['*']).concat(toList(middleware[route.operation]))
+        }));
+}
+
+module.exports = {
+    ROUTES: ROUTES,
+    resolveRoutes: resolveRoutes
+};
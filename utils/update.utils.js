@@ -0,0 +1,96 @@
+'use strict';
+
+const _ = require('lodash');
+const { BadRequestError } = require('./error.utils');
+
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull'];
+
+/**
+ * Check whether an update body uses MongoDB style update operators, e.g. { $inc: { age: 1 } }
+ *
+ * @param {Object} data - The update body
+ * @returns {boolean} True when every top level key is an update operator
+ * @throws {BadRequestError} When operators are mixed with plain fields, unknown or malformed
+ */
+function isOperatorUpdate(data) {
+    if (!_.isPlainObject(data)) {
+        return false;
+    }
+    let keys = Object.keys(data);
+    let operators = keys.filter(key => key.charAt(0) === '$');
+    if (operators.length === 0) {
+        return false;
+    }
+    if (operators.length !== keys.length) {
+        throw new BadRequestError('Update operators cannot be mixed with plain fields');
+    }
+    operators.forEach(operator => {
+        if (UPDATE_OPERATORS.indexOf(operator) === -1) {
+            throw new BadRequestError(`Unsupported update operator: ${operator}`);
+        }
+        if (!_.isPlainObject(data[operator])) {
+            throw new BadRequestError(`${operator} requires an object of fields`);
+        }
+    });
+    _.forEach(data.$inc, (value, path) => {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new BadRequestError(`$inc requires a number for "${path}"`);
+        }
+    });
+    return true;
+}
+
+/**
+ * Items added by a $push argument: a single value or { $each: [...] }
+ */
+function pushItems(value) {
+    return _.isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+}
+
+/**
+ * Values removed by a $pull argument: a single value or { $in: [...] }
+ */
+function pullItems(value) {
+    return _.isPlainObject(value) && Array.isArray(value.$in) ? value.$in : [value];
+}
+
+/**
+ * Apply update operators to a plain object in memory. Paths are dot separated.
+ *
+ * @param {Object} target - The object to change
+ * @param {Object} update - The update operators
+ * @returns {Object} The changed target
+ */
+function applyOperators(target, update) {
+    _.forEach(update.$set, (value, path) => _.set(target, path, value));
+    _.forEach(update.$unset, (value, path) => _.unset(target, path));
+    _.forEach(update.$inc, (value, path) => _.set(target, path, (Number(_.get(target, path)) || 0) + value));
+    _.forEach(update.$push, (value, path) => {
+        _.set(target, path, (_.get(target, path) || []).concat(pushItems(value)));
+    });
+    _.forEach(update.$pull, (value, path) => {
+        let items = pullItems(value);
+        _.set(target, path, (_.get(target, path) || []).filter(element => !items.some(item => _.isEqual(item, element))));
+    });
+    return target;
+}
+
+/**
+ * Build the document an upsert inserts when nothing matched, like MongoDB does:
+ * $set values, $inc amounts and $push items; $unset and $pull have nothing to remove
+ *
+ * @param {Object} update - The update operators
+ * @returns {Object} The new document
+ */
+function createUpsertDocument(update) {
+    return applyOperators({}, _.pick(update, ['$set', '$inc', '$push']));
+}
+
+module.exports = {
+    UPDATE_OPERATORS: UPDATE_OPERATORS,
+    isOperatorUpdate: isOperatorUpdate,
+    pushItems: pushItems,
+    pullItems: pullItems,
+    applyOperators: applyOperators,
+    createUpsertDocument: createUpsertDocument
+};